@@ -1,7 +1,5 @@
 'use strict';
 
-console.log('[app] Bootstrapping Tweet Link Saver');
-
 import {
   setupAuthLayer,
   subscribeToAuthChanges,
@@ -9,7 +7,58 @@ import {
   completeSignInFromLink,
   signOutUser
 } from './services/auth.js';
-import { setupSyncLayer, handleAuthStateChange, subscribeToSyncChanges } from './services/sync.js';
+import {
+  setupSyncLayer,
+  handleAuthStateChange,
+  subscribeToSyncChanges,
+  queueSaveMutation,
+  queueDeleteMutation,
+  isDeletedRemotely
+} from './services/sync.js';
+import {
+  findTermRanges,
+  indexDocument,
+  removeDocument,
+  searchDocuments,
+  tokenize
+} from './services/search-index.js';
+import {
+  buildJsonExport,
+  buildCsvExport,
+  buildMarkdownExport,
+  downloadBlob,
+  downloadTextFile
+} from './services/export.js';
+import { buildArticleHtml, buildEpub } from './services/article-export.js';
+import { parseImportSource } from './services/import.js';
+import { resolveTweetUrl, extractTweetId } from './services/url-resolver.js';
+import { normalizeTag, normalizeTags } from './services/library-item.js';
+import { decodeHtmlEntities, tokenizeTweetText } from './services/rich-text.js';
+import {
+  buildThreadEntry,
+  buildThreadSequence,
+  collectMedia,
+  composeThreadContentBlocks,
+  extractLinksFromTweet,
+  getAuthorKeys,
+  getParentTweetId,
+  getTweetEntities,
+  getTweetId,
+  getTweetText,
+  getTweetTimestamp,
+  getTweetUrl,
+  selectVideoVariant
+} from './services/thread-blocks.js';
+import { setupThreadRefresher, markThreadChecked } from './services/thread-refresher.js';
+import {
+  openLocalStore,
+  saveItems,
+  saveThreads,
+  saveMediaMetadata,
+  deleteMediaMetadata,
+  getAllMediaMetadata,
+  subscribeToStorageChanges
+} from './services/local-store.js';
 import {
   fetchRemoteApiKey,
   storeRemoteApiKey,
@@ -19,21 +68,51 @@ import {
 const ENDPOINTS = Object.freeze({
   VERIFY: '/api/verify',
   TWEET: '/api/tweets',
-  THREAD: '/api/thread'
+  TWEET_BATCH: '/api/tweets/batch',
+  THREAD: '/api/thread',
+  USAGE: '/api/usage',
+  USAGE_BUDGET: '/api/usage/budget',
+  MEDIA_ARCHIVE: '/api/media/archive',
+  RESOLVE_URL: '/api/resolve-url',
+  USER_TWEETS: '/api/users/tweets',
+  LIST_TWEETS: '/api/lists/tweets',
+  UNFURL: '/api/unfurl'
 });
 
-const SUPPORTED_HOSTS = new Set([
-  'twitter.com',
-  'www.twitter.com',
-  'mobile.twitter.com',
-  'x.com',
-  'www.x.com'
-]);
-
 const STORAGE_KEYS = Object.freeze({
   ITEMS: 'tweet-link-saver-items',
   API_KEY: 'tweet-link-saver-api-key',
-  THREADS: 'tweet-link-saver-thread-cache'
+  THREADS: 'tweet-link-saver-thread-cache',
+  MEDIA_ARCHIVE: 'tweet-link-saver-media-archive',
+  OFFLINE_SAVES: 'tweet-link-saver-offline-saves',
+  SHOW_REPLIES: 'tweet-link-saver-show-replies',
+  LIST_VIEW: 'tweet-link-saver-list-view'
+});
+
+const MAX_NOTE_LENGTH = 2000;
+const IMPORT_BATCH_SIZE = 50;
+const USAGE_CHART_DAYS = 14;
+const THREAD_REFRESH_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Pages /api/thread walks for a thread that isn't cached yet.
+const THREAD_MAX_PAGES = 8;
+const MEDIA_ARCHIVE_BATCH_SIZE = 40;
+const SORT_FIELDS = Object.freeze(['saved', 'posted', 'author', 'engagement', 'length']);
+const SORT_COLUMN_LABELS = Object.freeze({
+  saved: 'Added',
+  posted: 'Posted',
+  author: 'Author',
+  engagement: 'Engagement',
+  length: 'Posts'
+});
+const DEFAULT_LIST_VIEW = Object.freeze({
+  sort: 'saved',
+  descending: true,
+  hasMedia: false,
+  hasLinks: false,
+  author: '',
+  dateField: 'saved',
+  from: '',
+  to: ''
 });
 
 const palette = Object.freeze({
@@ -47,9 +126,20 @@ const state = {
   items: [],
   apiKey: null,
   credits: null,
+  usage: null,
+  archiveMedia: false,
+  showReplies: false,
+  isOnline: typeof navigator === 'undefined' ? true : navigator.onLine !== false,
+  offlineSaves: [],
   isSaving: false,
   isAuthenticating: false,
   activeTweetId: null,
+  searchQuery: '',
+  listView: { ...DEFAULT_LIST_VIEW },
+  tagFilter: {
+    tags: [],
+    mode: 'any'
+  },
   threads: {},
   threadStatus: {},
   auth: {
@@ -74,6 +164,20 @@ let authSubmitInFlight = false;
 let contextMenuState = null;
 let undoState = null;
 let toastTimer = null;
+let pendingHighlight = null;
+let importJob = null;
+let libraryReady = null;
+let mediaArchiveQueue = Promise.resolve();
+let offlineReplayInFlight = false;
+let pendingQuickSave = null;
+let collectionJob = null;
+const linkPreviews = new Map();
+let listCursorId = null;
+const selection = new Set();
+let selectionAnchorId = null;
+let bulkRefreshInFlight = false;
+let paletteState = null;
+const archivedMedia = new Map();
 
 document.addEventListener('DOMContentLoaded', () => {
   cacheElements();
@@ -95,11 +199,58 @@ function cacheElements() {
     header: document.getElementById('appHeader'),
     profileDivider: document.getElementById('profileDivider'),
     authSummary: document.getElementById('authSummary'),
+    syncStatus: document.getElementById('syncStatus'),
+    offlineBanner: document.getElementById('offlineBanner'),
     profileButton: document.getElementById('profileButton'),
     profileButtonLabel: document.getElementById('profileButtonLabel'),
     profileMenu: document.getElementById('profileMenu'),
     profileReplaceKey: document.getElementById('profileReplaceKey'),
     profileSignOut: document.getElementById('profileSignOut'),
+    profileExportButtons: document.querySelectorAll('[data-export-format]'),
+    profileImport: document.getElementById('profileImport'),
+    profileArchiveToggle: document.getElementById('profileArchiveToggle'),
+    bookmarkletLink: document.getElementById('bookmarkletLink'),
+    bookmarkletCopy: document.getElementById('bookmarkletCopy'),
+    profileUsage: document.getElementById('profileUsage'),
+    usageSummary: document.getElementById('usageSummary'),
+    usageChart: document.getElementById('usageChart'),
+    usageBudgetForm: document.getElementById('usageBudgetForm'),
+    usageDailyInput: document.getElementById('usageDailyInput'),
+    usageMonthlyInput: document.getElementById('usageMonthlyInput'),
+    usageMessage: document.getElementById('usageMessage'),
+    importModal: document.getElementById('importModal'),
+    importCloseButton: document.getElementById('importCloseButton'),
+    importInput: document.getElementById('importInput'),
+    importFile: document.getElementById('importFile'),
+    importStartButton: document.getElementById('importStartButton'),
+    importProgress: document.getElementById('importProgress'),
+    importFailures: document.getElementById('importFailures'),
+    importRetryButton: document.getElementById('importRetryButton'),
+    collectionModal: document.getElementById('collectionModal'),
+    commandPalette: document.getElementById('commandPalette'),
+    commandPaletteInput: document.getElementById('commandPaletteInput'),
+    commandPaletteList: document.getElementById('commandPaletteList'),
+    shortcutsModal: document.getElementById('shortcutsModal'),
+    bulkBar: document.getElementById('bulkBar'),
+    bulkCount: document.getElementById('bulkCount'),
+    bulkTagInput: document.getElementById('bulkTagInput'),
+    bulkRefresh: document.getElementById('bulkRefresh'),
+    bulkDelete: document.getElementById('bulkDelete'),
+    bulkSelectAll: document.getElementById('bulkSelectAll'),
+    bulkClear: document.getElementById('bulkClear'),
+    bulkExportButtons: document.querySelectorAll('[data-bulk-export]'),
+    shortcutsCloseButton: document.getElementById('shortcutsCloseButton'),
+    collectionTitle: document.getElementById('collectionTitle'),
+    collectionCloseButton: document.getElementById('collectionCloseButton'),
+    collectionSelectAll: document.getElementById('collectionSelectAll'),
+    collectionTagToggle: document.getElementById('collectionTagToggle'),
+    collectionTagLabel: document.getElementById('collectionTagLabel'),
+    collectionList: document.getElementById('collectionList'),
+    collectionStatus: document.getElementById('collectionStatus'),
+    collectionLoadMore: document.getElementById('collectionLoadMore'),
+    collectionAddButton: document.getElementById('collectionAddButton'),
+    storageBanner: document.getElementById('storageBanner'),
+    storageBannerMessage: document.getElementById('storageBannerMessage'),
     modal: document.getElementById('apiKeyModal'),
     apiKeyInput: document.getElementById('apiKeyInput'),
     apiKeySubmit: document.getElementById('apiKeySubmitButton'),
@@ -118,15 +269,33 @@ function cacheElements() {
     detailContainer: document.getElementById('detailContainer'),
     detailCloseButton: document.getElementById('detailCloseButton'),
     detailTitle: document.getElementById('detailTitle'),
+    detailHighlights: document.getElementById('detailHighlights'),
+    highlightPopover: document.getElementById('highlightPopover'),
+    highlightNoteInput: document.getElementById('highlightNoteInput'),
+    highlightSaveButton: document.getElementById('highlightSaveButton'),
     contextMenu: document.getElementById('contextMenu'),
     contextOpen: document.getElementById('contextOpen'),
     contextDelete: document.getElementById('contextDelete'),
+    contextTagList: document.getElementById('contextTagList'),
+    contextTagInput: document.getElementById('contextTagInput'),
     toast: document.getElementById('toast'),
     toastMessage: document.getElementById('toastMessage'),
     toastUndo: document.getElementById('toastUndo'),
+    searchBar: document.getElementById('searchBar'),
+    searchInput: document.getElementById('searchInput'),
     listMeta: document.getElementById('listMeta'),
     listMetaCount: document.getElementById('listMetaCount'),
-    listMetaAdded: document.getElementById('listMetaAdded')
+    listMetaAdded: document.getElementById('listMetaAdded'),
+    tagFilters: document.getElementById('tagFilters'),
+    viewSort: document.getElementById('viewSort'),
+    viewDirection: document.getElementById('viewDirection'),
+    viewHasMedia: document.getElementById('viewHasMedia'),
+    viewHasLinks: document.getElementById('viewHasLinks'),
+    viewAuthor: document.getElementById('viewAuthor'),
+    viewDateField: document.getElementById('viewDateField'),
+    viewFrom: document.getElementById('viewFrom'),
+    viewTo: document.getElementById('viewTo'),
+    viewReset: document.getElementById('viewReset')
   });
 }
 
@@ -142,6 +311,22 @@ function attachEventHandlers() {
     }
   });
 
+  if (elements.searchInput) {
+    elements.searchInput.addEventListener('input', () => {
+      state.searchQuery = elements.searchInput.value;
+      renderItems();
+    });
+    elements.searchInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && elements.searchInput.value) {
+        event.preventDefault();
+        event.stopPropagation();
+        elements.searchInput.value = '';
+        state.searchQuery = '';
+        renderItems();
+      }
+    });
+  }
+
   elements.apiKeySubmit.addEventListener('click', handleApiKeySubmit);
   if (elements.apiKeyCancel) {
     elements.apiKeyCancel.addEventListener('click', () => {
@@ -173,6 +358,121 @@ function attachEventHandlers() {
     });
   }
 
+  elements.profileExportButtons?.forEach((button) => {
+    button.addEventListener('click', () => {
+      hideProfileMenu();
+      exportLibrary(button.dataset.exportFormat);
+    });
+  });
+
+  if (elements.profileImport) {
+    elements.profileImport.addEventListener('click', () => {
+      hideProfileMenu();
+      openImportModal();
+    });
+  }
+
+  if (elements.profileArchiveToggle) {
+    elements.profileArchiveToggle.addEventListener('click', () => {
+      setMediaArchiveEnabled(!state.archiveMedia);
+    });
+  }
+
+  if (elements.bookmarkletLink) {
+    elements.bookmarkletLink.href = buildBookmarklet();
+    elements.bookmarkletLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      showMessage('Drag "Save to Macro" to your bookmarks bar, then click it on any tweet.', 'info');
+    });
+  }
+
+  if (elements.bookmarkletCopy) {
+    elements.bookmarkletCopy.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(buildBookmarklet());
+        elements.bookmarkletCopy.textContent = 'Copied';
+      } catch (error) {
+        console.warn('[quick-save] Unable to copy bookmarklet', error);
+        elements.bookmarkletCopy.textContent = 'Failed';
+      }
+      setTimeout(() => {
+        if (elements.bookmarkletCopy) elements.bookmarkletCopy.textContent = 'Copy';
+      }, 1500);
+    });
+  }
+
+  if (elements.usageBudgetForm) {
+    elements.usageBudgetForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      saveUsageBudget();
+    });
+  }
+
+  if (elements.collectionCloseButton) {
+    elements.collectionCloseButton.addEventListener('click', closeCollectionModal);
+  }
+
+  if (elements.collectionModal) {
+    elements.collectionModal.addEventListener('click', (event) => {
+      if (event.target === elements.collectionModal) {
+        closeCollectionModal();
+      }
+    });
+  }
+
+  if (elements.collectionSelectAll) {
+    elements.collectionSelectAll.addEventListener('change', () => {
+      if (!collectionJob) return;
+      collectionJob.selected = elements.collectionSelectAll.checked
+        ? new Set(getSelectableCollectionTweets().map(getTweetId))
+        : new Set();
+      renderCollection();
+    });
+  }
+
+  if (elements.collectionLoadMore) {
+    elements.collectionLoadMore.addEventListener('click', () => loadCollectionPage());
+  }
+
+  if (elements.collectionAddButton) {
+    elements.collectionAddButton.addEventListener('click', addCollectionSelection);
+  }
+
+  if (elements.importCloseButton) {
+    elements.importCloseButton.addEventListener('click', closeImportModal);
+  }
+
+  if (elements.importModal) {
+    elements.importModal.addEventListener('click', (event) => {
+      if (event.target === elements.importModal) {
+        closeImportModal();
+      }
+    });
+  }
+
+  if (elements.importFile) {
+    elements.importFile.addEventListener('change', async () => {
+      const file = elements.importFile.files?.[0];
+      if (!file) return;
+      try {
+        elements.importInput.value = await file.text();
+      } catch (error) {
+        renderImportProgress(`Unable to read ${file.name}.`);
+      }
+      elements.importFile.value = '';
+    });
+  }
+
+  if (elements.importStartButton) {
+    elements.importStartButton.addEventListener('click', handleImportStart);
+  }
+
+  if (elements.importRetryButton) {
+    elements.importRetryButton.addEventListener('click', () => {
+      retryFailedImports(importJob?.failed.filter((entry) => entry.tweetId) || []);
+    });
+  }
+
   if (elements.profileSignOut) {
     elements.profileSignOut.addEventListener('click', () => {
       hideProfileMenu();
@@ -211,12 +511,92 @@ function attachEventHandlers() {
       const current = contextMenuState;
       closeContextMenu();
       if (!current?.item) return;
-      const result = deleteItem(current.item.tweetId, { silent: true });
+      const { tweetId } = current.item;
+      deleteWithUndo(selection.has(tweetId) ? Array.from(selection) : [tweetId]);
+    });
+  }
+
+  if (elements.viewSort) {
+    elements.viewSort.addEventListener('change', () => {
+      const sort = elements.viewSort.value;
+      // Author reads best A→Z; the other orders default to largest/newest first.
+      setListView({ sort, descending: sort !== 'author' });
+    });
+  }
+
+  if (elements.viewDirection) {
+    elements.viewDirection.addEventListener('click', () => setListView({ descending: !state.listView.descending }));
+  }
+
+  [
+    [elements.viewHasMedia, () => ({ hasMedia: elements.viewHasMedia.checked })],
+    [elements.viewHasLinks, () => ({ hasLinks: elements.viewHasLinks.checked })],
+    [elements.viewAuthor, () => ({ author: elements.viewAuthor.value })],
+    [elements.viewDateField, () => ({ dateField: elements.viewDateField.value })],
+    [elements.viewFrom, () => ({ from: elements.viewFrom.value })],
+    [elements.viewTo, () => ({ to: elements.viewTo.value })]
+  ].forEach(([element, read]) => {
+    element?.addEventListener('change', () => setListView(read()));
+  });
+
+  if (elements.viewReset) {
+    elements.viewReset.addEventListener('click', () => setListView({ ...DEFAULT_LIST_VIEW }));
+  }
+
+  if (elements.bulkTagInput) {
+    elements.bulkTagInput.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      const tag = normalizeTag(elements.bulkTagInput.value);
+      if (!tag) return;
+      tagSelectedItems(tag);
+      elements.bulkTagInput.value = '';
+    });
+  }
+
+  if (elements.bulkRefresh) {
+    elements.bulkRefresh.addEventListener('click', refreshSelectedThreads);
+  }
+
+  if (elements.bulkDelete) {
+    elements.bulkDelete.addEventListener('click', () => deleteWithUndo(Array.from(selection)));
+  }
+
+  if (elements.bulkSelectAll) {
+    elements.bulkSelectAll.addEventListener('click', () => {
+      getVisibleItems().forEach((item) => {
+        if (!item.isPending) selection.add(item.tweetId);
+      });
       renderItems();
-      renderDetail();
-      updateSaveButtonState();
-      if (result) {
-        showUndoToast(result);
+    });
+  }
+
+  if (elements.bulkClear) {
+    elements.bulkClear.addEventListener('click', clearSelection);
+  }
+
+  elements.bulkExportButtons?.forEach((button) => {
+    button.addEventListener('click', () => {
+      exportLibrary(button.dataset.bulkExport, { items: getSelectedItems() });
+    });
+  });
+
+  if (elements.contextTagInput) {
+    elements.contextTagInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        const tag = normalizeTag(elements.contextTagInput.value);
+        const tweetId = contextMenuState?.item?.tweetId;
+        if (!tag || !tweetId) return;
+        const item = state.items.find((entry) => entry.tweetId === tweetId);
+        if (!item) return;
+        setItemTags(tweetId, [...(item.tags || []), tag]);
+        elements.contextTagInput.value = '';
+        renderContextTags();
+      }
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeContextMenu();
       }
     });
   }
@@ -258,7 +638,87 @@ function attachEventHandlers() {
     });
   }
 
+  if (elements.detailContainer) {
+    elements.detailContainer.addEventListener('mouseup', () => {
+      setTimeout(captureDetailSelection, 0);
+    });
+    elements.detailContainer.addEventListener('keyup', (event) => {
+      if (event.shiftKey) captureDetailSelection();
+    });
+    elements.detailContainer.addEventListener('scroll', hideHighlightPopover);
+  }
+
+  if (elements.highlightSaveButton) {
+    elements.highlightSaveButton.addEventListener('click', saveHighlightFromSelection);
+  }
+
+  if (elements.highlightNoteInput) {
+    elements.highlightNoteInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        saveHighlightFromSelection();
+      }
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        hideHighlightPopover();
+      }
+    });
+  }
+
+  if (elements.commandPaletteInput) {
+    elements.commandPaletteInput.addEventListener('input', () => {
+      if (!paletteState) return;
+      paletteState.query = elements.commandPaletteInput.value;
+      paletteState.index = 0;
+      renderCommandPalette();
+    });
+    elements.commandPaletteInput.addEventListener('keydown', handlePaletteKey);
+  }
+
+  if (elements.commandPalette) {
+    elements.commandPalette.addEventListener('click', (event) => {
+      if (event.target === elements.commandPalette) {
+        closeCommandPalette();
+      }
+    });
+  }
+
+  if (elements.shortcutsCloseButton) {
+    elements.shortcutsCloseButton.addEventListener('click', () => toggleShortcutsModal(false));
+  }
+
+  if (elements.shortcutsModal) {
+    elements.shortcutsModal.addEventListener('click', (event) => {
+      if (event.target === elements.shortcutsModal) {
+        toggleShortcutsModal(false);
+      }
+    });
+  }
+
+  window.addEventListener('keydown', handleShortcutKey);
+
   window.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && elements.commandPalette && !elements.commandPalette.classList.contains('hidden')) {
+      event.preventDefault();
+      closeCommandPalette();
+      return;
+    }
+    if (event.key === 'Escape' && elements.shortcutsModal && !elements.shortcutsModal.classList.contains('hidden')) {
+      event.preventDefault();
+      toggleShortcutsModal(false);
+      return;
+    }
+    if (event.key === 'Escape' && elements.importModal && !elements.importModal.classList.contains('hidden')) {
+      event.preventDefault();
+      closeImportModal();
+      return;
+    }
+    if (event.key === 'Escape' && elements.collectionModal && !elements.collectionModal.classList.contains('hidden')) {
+      event.preventDefault();
+      closeCollectionModal();
+      return;
+    }
     if (event.key === 'Escape' && !elements.detailModal.classList.contains('hidden')) {
       event.preventDefault();
       closeDetailModal();
@@ -266,6 +726,9 @@ function attachEventHandlers() {
     if (event.key === 'Escape') {
       hideProfileMenu();
       closeContextMenu();
+      if (selection.size > 0 && !isEditableTarget(event.target) && !isBlockingDialogOpen()) {
+        clearSelection();
+      }
     }
   });
 
@@ -284,16 +747,27 @@ function attachEventHandlers() {
     }
   });
 
-  window.addEventListener('scroll', closeContextMenu, true);
+  window.addEventListener('scroll', (event) => {
+    if (elements.contextMenu?.contains(event.target)) return;
+    closeContextMenu();
+  }, true);
   window.addEventListener('resize', closeContextMenu);
+  window.addEventListener('online', () => setOnlineState(true));
+  window.addEventListener('offline', () => setOnlineState(false));
 }
 
 function initialize() {
   setupAuthLayer(state);
-  setupSyncLayer(state);
+  setupSyncLayer(state, {
+    getItems: () => state.items,
+    applyRemoteChanges
+  });
+  loadDisplayPreferences();
+  libraryReady = loadStoredLibrary();
   subscribeToAuthChanges((authState) => {
     renderAuthState(authState);
-    handleAuthStateChange(authState);
+    // Sync must compare against the stored library, not an empty list.
+    libraryReady.then(() => handleAuthStateChange(authState));
     if (authState.status === 'signed-in') {
       refreshRemoteApiKey();
     } else if (authState.available && authState.status === 'signed-out') {
@@ -304,15 +778,29 @@ function initialize() {
     }
   });
   subscribeToSyncChanges(renderSyncState);
+  subscribeToStorageChanges(renderStorageState);
   renderAuthState();
   completeSignInFromLink().finally(() => renderAuthState());
-  loadStoredItems();
-  loadStoredThreads();
-  removeOrphanedThreads();
   renderItems();
-  renderDetail();
   updateSaveButtonState();
   updateKeyStatus();
+  renderOfflineBanner();
+  registerServiceWorker();
+  pendingQuickSave = readQuickSaveParams();
+  libraryReady.then(() => {
+    restoreOfflineSaves();
+    runPendingQuickSave();
+    removeOrphanedThreads();
+    rebuildSearchIndex();
+    renderItems();
+    renderDetail();
+    updateSaveButtonState();
+    setupThreadRefresher({
+      canRefresh: () => Boolean(state.apiKey),
+      getThreads: listRefreshableThreads,
+      refreshThread: refreshThreadInBackground
+    }, { maxAgeMs: THREAD_REFRESH_MAX_AGE_MS });
+  });
 
   state.keyPromptPending = true;
 
@@ -321,37 +809,43 @@ function initialize() {
   }
 }
 
-function loadStoredItems() {
+async function loadStoredLibrary() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEYS.ITEMS);
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    if (Array.isArray(parsed)) {
-      state.items = parsed.filter((entry) => entry && typeof entry === 'object' && entry.tweetId);
-    }
+    const { items, threads } = await openLocalStore({
+      itemsKey: STORAGE_KEYS.ITEMS,
+      threadsKey: STORAGE_KEYS.THREADS
+    });
+    // Anything saved while storage was opening stays on top of the stored set.
+    const inMemoryIds = new Set(state.items.map((item) => item.tweetId));
+    const storedItems = items.filter((entry) => entry && typeof entry === 'object' && entry.tweetId && !inMemoryIds.has(entry.tweetId));
+    state.items = [...state.items, ...storedItems];
+    sortItems();
+    loadStoredThreads(threads);
+    await loadArchivedMedia();
   } catch (error) {
     console.error('Failed to load saved tweets', error);
   }
 }
 
-function persistItems() {
-  localStorage.setItem(STORAGE_KEYS.ITEMS, JSON.stringify(state.items));
+// `changedIds` names items edited in place; new and removed items are
+// picked up without it.
+function persistItems(changedIds = []) {
+  saveItems(state.items.filter((item) => !item.isPending), changedIds);
 }
 
-function loadStoredThreads() {
+function loadStoredThreads(stored) {
   try {
-    const raw = localStorage.getItem(STORAGE_KEYS.THREADS);
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== 'object') return;
-    Object.entries(parsed).forEach(([tweetId, entry]) => {
-      if (!tweetId || !entry || typeof entry !== 'object') return;
+    if (!stored || typeof stored !== 'object') return;
+    Object.entries(stored).forEach(([tweetId, entry]) => {
+      if (!tweetId || !entry || typeof entry !== 'object' || state.threads[tweetId]) return;
       const tweets = Array.isArray(entry.tweets) ? entry.tweets : [];
       if (!tweets.length) return;
       state.threads[tweetId] = {
         tweets,
         fetchedAt: typeof entry.fetchedAt === 'number' ? entry.fetchedAt : null,
-        rootTweetId: entry.rootTweetId || null
+        rootTweetId: entry.rootTweetId || null,
+        nextCursor: typeof entry.nextCursor === 'string' && entry.nextCursor ? entry.nextCursor : null,
+        newPosts: Number.isInteger(entry.newPosts) && entry.newPosts > 0 ? entry.newPosts : 0
       };
     });
   } catch (error) {
@@ -360,25 +854,190 @@ function loadStoredThreads() {
 }
 
 function persistThreads() {
+  const persistable = {};
+  Object.entries(state.threads).forEach(([tweetId, entry]) => {
+    if (!tweetId || !entry || typeof entry !== 'object') return;
+    if (!Array.isArray(entry.tweets) || entry.tweets.length === 0) return;
+    if (typeof entry.fetchedAt !== 'number') entry.fetchedAt = Date.now();
+    persistable[tweetId] = entry;
+  });
+  saveThreads(persistable);
+}
+
+function loadDisplayPreferences() {
+  state.showReplies = localStorage.getItem(STORAGE_KEYS.SHOW_REPLIES) === 'on';
   try {
-    const serializable = {};
-    Object.entries(state.threads).forEach(([tweetId, entry]) => {
-      if (!tweetId || !entry || typeof entry !== 'object') return;
-      if (!Array.isArray(entry.tweets) || entry.tweets.length === 0) return;
-      serializable[tweetId] = {
-        tweets: entry.tweets,
-        fetchedAt: typeof entry.fetchedAt === 'number' ? entry.fetchedAt : Date.now(),
-        rootTweetId: entry.rootTweetId || null
-      };
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.LIST_VIEW) || 'null');
+    state.listView = normalizeListView(stored);
+  } catch (error) {
+    state.listView = { ...DEFAULT_LIST_VIEW };
+  }
+}
+
+function normalizeListView(value) {
+  const view = { ...DEFAULT_LIST_VIEW };
+  if (!value || typeof value !== 'object') return view;
+  if (SORT_FIELDS.includes(value.sort)) view.sort = value.sort;
+  if (typeof value.descending === 'boolean') view.descending = value.descending;
+  view.hasMedia = value.hasMedia === true;
+  view.hasLinks = value.hasLinks === true;
+  if (typeof value.author === 'string') view.author = value.author.toLowerCase();
+  if (value.dateField === 'posted') view.dateField = 'posted';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value.from || '')) view.from = value.from;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value.to || '')) view.to = value.to;
+  return view;
+}
+
+function setListView(updates) {
+  state.listView = normalizeListView({ ...state.listView, ...updates });
+  try {
+    localStorage.setItem(STORAGE_KEYS.LIST_VIEW, JSON.stringify(state.listView));
+  } catch (error) {
+    console.warn('[list] Unable to persist list view', error);
+  }
+  renderItems();
+}
+
+function setShowReplies(enabled) {
+  state.showReplies = enabled;
+  try {
+    localStorage.setItem(STORAGE_KEYS.SHOW_REPLIES, enabled ? 'on' : 'off');
+  } catch (error) {
+    console.warn('[detail] Unable to persist reply preference', error);
+  }
+  renderDetail();
+}
+
+async function loadArchivedMedia() {
+  state.archiveMedia = localStorage.getItem(STORAGE_KEYS.MEDIA_ARCHIVE) === 'on';
+  renderMediaArchiveToggle();
+  const records = await getAllMediaMetadata();
+  records.forEach((record) => {
+    if (record.url && record.archivedUrl) archivedMedia.set(record.url, record.archivedUrl);
+    if (record.videoUrl && record.archivedVideoUrl) archivedMedia.set(record.videoUrl, record.archivedVideoUrl);
+  });
+}
+
+function setMediaArchiveEnabled(enabled) {
+  state.archiveMedia = enabled;
+  try {
+    localStorage.setItem(STORAGE_KEYS.MEDIA_ARCHIVE, enabled ? 'on' : 'off');
+  } catch (error) {
+    console.warn('[archive] Unable to persist archive preference', error);
+  }
+  renderMediaArchiveToggle();
+  if (enabled) {
+    state.items.forEach((item) => {
+      if (!item.isPending) persistMediaMetadata(item.tweetId);
     });
-    if (Object.keys(serializable).length === 0) {
-      localStorage.removeItem(STORAGE_KEYS.THREADS);
-      return;
+  }
+}
+
+function renderMediaArchiveToggle() {
+  if (!elements.profileArchiveToggle) return;
+  elements.profileArchiveToggle.textContent = `Archive media: ${state.archiveMedia ? 'On' : 'Off'}`;
+  elements.profileArchiveToggle.setAttribute('aria-pressed', String(state.archiveMedia));
+}
+
+// Archive requests run one at a time so turning the option on for a large
+// library doesn't fan out into hundreds of parallel downloads.
+function queueMediaArchive(tweetId, records) {
+  mediaArchiveQueue = mediaArchiveQueue
+    .then(() => archiveMediaRecords(tweetId, records))
+    .catch((error) => console.warn('[archive] Failed to archive media', tweetId, error));
+  return mediaArchiveQueue;
+}
+
+async function archiveMediaRecords(tweetId, records) {
+  if (!state.archiveMedia || !state.apiKey) return;
+  const pending = Array.from(new Set(records
+    .flatMap((record) => [record.url, record.videoUrl])
+    .filter((url) => url && !archivedMedia.has(url))));
+  if (pending.length === 0) return;
+
+  for (let index = 0; index < pending.length; index += MEDIA_ARCHIVE_BATCH_SIZE) {
+    const response = await fetch(ENDPOINTS.MEDIA_ARCHIVE, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ apiKey: state.apiKey, urls: pending.slice(index, index + MEDIA_ARCHIVE_BATCH_SIZE) })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data?.message || `Unable to archive media (status ${response.status}).`);
     }
-    localStorage.setItem(STORAGE_KEYS.THREADS, JSON.stringify(serializable));
-  } catch (error) {
-    console.error('Failed to persist cached threads', error);
+
+    (Array.isArray(data?.results) ? data.results : []).forEach((result) => {
+      if (result?.url && result.path) archivedMedia.set(result.url, result.path);
+    });
+  }
+
+  if (!state.items.some((entry) => entry.tweetId === tweetId)) return;
+  saveMediaMetadata(tweetId, records.map((record) => ({
+    ...record,
+    archivedUrl: archivedMedia.get(record.url) || null,
+    archivedVideoUrl: record.videoUrl ? archivedMedia.get(record.videoUrl) || null : null
+  })));
+}
+
+function persistMediaMetadata(tweetId) {
+  const item = state.items.find((entry) => entry.tweetId === tweetId);
+  if (!item) return;
+  const tweets = [item.tweet, ...(state.threads[tweetId]?.tweets || [])].filter(Boolean);
+  const records = [];
+  tweets.forEach((tweet) => {
+    collectMedia(tweet).forEach((media) => {
+      const url = media.media_url_https || media.media_url || null;
+      const key = media.id_str || media.id || media.media_key || media.mediaKey || url;
+      if (!key) return;
+      records.push({
+        key: String(key),
+        sourceTweetId: getTweetId(tweet),
+        type: media.type || 'photo',
+        url,
+        width: media.original_info?.width ?? media.sizes?.large?.w ?? null,
+        height: media.original_info?.height ?? media.sizes?.large?.h ?? null,
+        altText: media.ext_alt_text || media.alt_text || null,
+        videoUrl: media.type === 'video' || media.type === 'animated_gif' ? selectVideoVariant(media) : null
+      });
+    });
+  });
+  const withArchive = records.map((record) => ({
+    ...record,
+    archivedUrl: archivedMedia.get(record.url) || null,
+    archivedVideoUrl: record.videoUrl ? archivedMedia.get(record.videoUrl) || null : null
+  }));
+  saveMediaMetadata(tweetId, withArchive);
+  if (state.archiveMedia) {
+    queueMediaArchive(tweetId, records);
+  }
+}
+
+function renderStorageState(storageState) {
+  if (!elements.storageBanner) return;
+  const hasProblem = storageState.status === 'quota-exceeded' || storageState.status === 'error';
+  elements.storageBanner.classList.toggle('hidden', !hasProblem);
+  if (!hasProblem) return;
+
+  const parts = [storageState.error];
+  if (typeof storageState.usage === 'number' && typeof storageState.quota === 'number' && storageState.quota > 0) {
+    parts.push(`Using ${formatBytes(storageState.usage)} of ${formatBytes(storageState.quota)}.`);
   }
+  if (storageState.status === 'quota-exceeded') {
+    parts.push('Export your library or delete saved threads to free space.');
+  }
+  if (elements.storageBannerMessage) {
+    elements.storageBannerMessage.textContent = parts.filter(Boolean).join(' ');
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
 }
 
 function removeOrphanedThreads() {
@@ -399,172 +1058,1393 @@ function loadStoredApiKey() {
   return null;
 }
 
-function persistApiKey(_key) {
-  // API key persists only in memory and is synced via the account store.
+function persistApiKey(_key) {
+  // API key persists only in memory and is synced via the account store.
+}
+
+function removeStoredApiKey() {
+  if (state.auth.status === 'signed-in') {
+    deleteRemoteApiKey().catch((error) => {
+      console.warn('[sync] Failed to remove API key from cloud store', error);
+    });
+  }
+  state.keyPromptPending = true;
+  state.apiKey = null;
+  state.credits = null;
+  updateKeyStatus();
+}
+
+function updateSaveButtonState() {
+  const value = elements.input.value.trim();
+  const resolution = resolveTweetUrl(value);
+  const isSaveable = resolution.status !== 'unsupported';
+  const disabled = !isSaveable || !state.apiKey || state.isSaving || state.isAuthenticating;
+  elements.saveButton.disabled = disabled;
+  if (!elements.saveButton) return;
+  if (!isSaveable || state.isSaving || state.isAuthenticating) {
+    elements.saveButton.classList.remove('is-visible');
+  } else {
+    elements.saveButton.classList.add('is-visible');
+  }
+  if (!isSaveable && value) {
+    showMessage(resolution.message);
+  } else {
+    clearMessage();
+  }
+}
+
+async function expandShortLink(url) {
+  const response = await fetch(ENDPOINTS.RESOLVE_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ url })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data?.url) {
+    throw new Error(data?.message || 'Unable to expand short link.');
+  }
+
+  return data.url;
+}
+
+// Quick saves arrive as `?save=<url>` (bookmarklet) or as the share target's
+// `url`/`text`/`title` params, where apps often bury the link inside `text`.
+function readQuickSaveParams() {
+  try {
+    const url = new URL(window.location.href);
+    const candidates = ['save', 'url', 'text', 'title']
+      .map((param) => url.searchParams.get(param))
+      .filter(Boolean);
+    if (candidates.length === 0) return null;
+
+    ['save', 'url', 'text', 'title'].forEach((param) => url.searchParams.delete(param));
+    window.history.replaceState({}, document.title, url.toString());
+
+    let rejection = null;
+    for (const candidate of candidates) {
+      const links = candidate.match(/https?:\/\/[^\s"'<>]+/gi) || [candidate];
+      for (const link of links) {
+        const resolution = resolveTweetUrl(link);
+        if (resolution.status !== 'unsupported') return link;
+        rejection = rejection || resolution;
+      }
+    }
+    showMessage(rejection?.message || 'That shared link isn\'t a tweet link.');
+    return null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+// Called again once a save or key check finishes, so a shared link that
+// arrives while one is running isn't dropped.
+function runPendingQuickSave() {
+  if (!pendingQuickSave || !state.apiKey || state.isSaving || state.isAuthenticating) return;
+  const url = pendingQuickSave;
+  pendingQuickSave = null;
+  elements.input.value = url;
+  handleSave();
+}
+
+function buildBookmarklet() {
+  const target = `${window.location.origin}/?save=`;
+  return `javascript:(()=>{window.open(${JSON.stringify(target)}+encodeURIComponent(location.href),'_blank');})();`;
+}
+
+async function handleSave(event) {
+  event?.preventDefault();
+  if (state.isSaving || state.isAuthenticating) return;
+
+  let rawValue = elements.input.value.trim();
+  let resolution = resolveTweetUrl(rawValue);
+
+  if (!state.apiKey) {
+    showMessage('Please connect your API key first.', 'info');
+    setApiKeyModal(true, { allowCancel: true, presetKey: state.apiKey || '' });
+    return;
+  }
+
+  if (resolution.status === 'needs-expansion') {
+    if (!state.isOnline) {
+      showMessage('Short links need a connection to expand. Paste the full tweet link to save offline.', 'info');
+      return;
+    }
+    // Held while the link expands so a second submit can't start another save.
+    setSavingState(true);
+    updateSaveButtonState();
+    try {
+      rawValue = await expandShortLink(resolution.url);
+      resolution = resolveTweetUrl(rawValue);
+    } catch (error) {
+      showMessage(error.message || 'Unable to expand short link.');
+      return;
+    } finally {
+      setSavingState(false);
+      updateSaveButtonState();
+    }
+  }
+
+  if (resolution.status === 'collection') {
+    if (!state.isOnline) {
+      showMessage('Profiles and lists need a connection to load.', 'info');
+      return;
+    }
+    elements.input.value = '';
+    updateSaveButtonState();
+    openCollectionModal(resolution);
+    return;
+  }
+
+  if (resolution.status !== 'resolved') {
+    showMessage(resolution.message || 'Please enter a valid tweet link.');
+    return;
+  }
+
+  const { tweetId } = resolution;
+  if (resolution.pattern === 'tweet-id') {
+    rawValue = `https://x.com/i/web/status/${tweetId}`;
+  }
+
+  if (state.items.some((item) => item.tweetId === tweetId)) {
+    showMessage('That tweet is already saved.', 'info');
+    return;
+  }
+
+  if (state.offlineSaves.some((entry) => entry.tweetId === tweetId)) {
+    showMessage('That tweet is already waiting to be saved.', 'info');
+    return;
+  }
+
+  if (!state.isOnline) {
+    queueOfflineSave(tweetId, rawValue);
+    elements.input.value = '';
+    showMessage('You\'re offline. The tweet will be saved when you reconnect.', 'info');
+    focusTweetInput();
+    return;
+  }
+
+  setSavingState(true);
+  updateSaveButtonState();
+  showMessage('', 'info');
+
+  const placeholderId = `pending-${Date.now()}`;
+  const placeholderItem = {
+    tweetId: placeholderId,
+    url: rawValue,
+    tweet: {
+      author: { name: 'Fetching…' },
+      text: rawValue
+    },
+    savedAt: Date.now(),
+    isPending: true
+  };
+  state.items.unshift(placeholderItem);
+  renderItems();
+
+  try {
+    const { tweet, fromCache } = await fetchTweet(tweetId);
+    commitSavedTweet({ tweetId, url: rawValue, tweet, placeholderId });
+    elements.input.value = '';
+    showMessage(fromCache ? 'Tweet saved (served from cache).' : 'Tweet saved.', 'success');
+  } catch (error) {
+    const placeholderIndex = state.items.findIndex((entry) => entry.isPending && entry.tweetId === placeholderId);
+    if (placeholderIndex !== -1) {
+      state.items.splice(placeholderIndex, 1);
+      renderItems();
+    }
+    if (isNetworkError(error)) {
+      queueOfflineSave(tweetId, rawValue);
+      elements.input.value = '';
+      showMessage('Connection lost. The tweet will be saved when you reconnect.', 'info');
+    } else {
+      showMessage(error.message || 'Unable to save tweet.');
+    }
+  } finally {
+    setSavingState(false);
+    updateSaveButtonState();
+    focusTweetInput();
+    runPendingQuickSave();
+  }
+}
+
+function commitSavedTweet({ tweetId, url, tweet, placeholderId, savedAt = Date.now() }) {
+  const newItem = {
+    tweetId,
+    url,
+    tweet,
+    savedAt,
+    updatedAt: Date.now()
+  };
+  const previousActiveId = state.activeTweetId;
+  const placeholderIndex = state.items.findIndex((entry) => entry.isPending && entry.tweetId === placeholderId);
+  if (placeholderIndex !== -1) {
+    state.items.splice(placeholderIndex, 1);
+  }
+  state.items.unshift(newItem);
+  sortItems();
+  state.activeTweetId = previousActiveId;
+  persistItems([tweetId]);
+  queueSaveMutation(newItem);
+  reindexItem(tweetId);
+  persistMediaMetadata(tweetId);
+  renderItems();
+  if (previousActiveId) {
+    renderDetail();
+  }
+  loadThread(tweetId);
+  return newItem;
+}
+
+function isNetworkError(error) {
+  return error instanceof TypeError || !state.isOnline;
+}
+
+function setOnlineState(isOnline) {
+  state.isOnline = isOnline;
+  renderOfflineBanner();
+  if (isOnline) {
+    replayOfflineSaves();
+  }
+}
+
+function renderOfflineBanner() {
+  if (!elements.offlineBanner) return;
+  elements.offlineBanner.classList.toggle('hidden', state.isOnline);
+  const queued = state.offlineSaves.length;
+  elements.offlineBanner.textContent = queued > 0
+    ? `Offline · ${queued} ${queued === 1 ? 'save' : 'saves'} queued`
+    : 'Offline · reading saved copies';
+}
+
+function registerServiceWorker() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js').catch((error) => {
+    console.warn('[offline] Service worker registration failed', error);
+  });
+}
+
+// Saves made without a connection are kept in localStorage and shown as
+// pending rows until they can be replayed through /api/tweets.
+function queueOfflineSave(tweetId, url) {
+  const entry = { tweetId, url, queuedAt: Date.now() };
+  state.offlineSaves.push(entry);
+  persistOfflineSaves();
+  state.items.unshift(createQueuedPlaceholder(entry));
+  renderItems();
+  renderOfflineBanner();
+}
+
+function createQueuedPlaceholder(entry) {
+  return {
+    tweetId: `queued-${entry.tweetId}`,
+    url: entry.url,
+    tweet: {
+      author: { name: 'Saved offline' },
+      text: entry.url
+    },
+    savedAt: entry.queuedAt,
+    isPending: true,
+    isQueued: true
+  };
+}
+
+function restoreOfflineSaves() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEYS.OFFLINE_SAVES) || '[]');
+    state.offlineSaves = Array.isArray(parsed)
+      ? parsed.filter((entry) => entry?.tweetId && !state.items.some((item) => item.tweetId === entry.tweetId))
+      : [];
+  } catch (error) {
+    console.warn('[offline] Unable to read queued saves', error);
+    state.offlineSaves = [];
+  }
+  state.offlineSaves.forEach((entry) => state.items.push(createQueuedPlaceholder(entry)));
+  sortItems();
+  renderOfflineBanner();
+  if (state.isOnline) {
+    replayOfflineSaves();
+  }
+}
+
+function persistOfflineSaves() {
+  try {
+    if (state.offlineSaves.length === 0) {
+      localStorage.removeItem(STORAGE_KEYS.OFFLINE_SAVES);
+    } else {
+      localStorage.setItem(STORAGE_KEYS.OFFLINE_SAVES, JSON.stringify(state.offlineSaves));
+    }
+  } catch (error) {
+    console.warn('[offline] Unable to persist queued saves', error);
+  }
+}
+
+async function replayOfflineSaves() {
+  if (offlineReplayInFlight || !state.apiKey || state.offlineSaves.length === 0) return;
+  offlineReplayInFlight = true;
+  let saved = 0;
+  const failures = [];
+
+  try {
+    for (const entry of [...state.offlineSaves]) {
+      if (!state.isOnline) break;
+      const placeholderId = `queued-${entry.tweetId}`;
+      try {
+        if (!state.items.some((item) => item.tweetId === entry.tweetId)) {
+          const { tweet } = await fetchTweet(entry.tweetId);
+          commitSavedTweet({ tweetId: entry.tweetId, url: entry.url, tweet, placeholderId, savedAt: entry.queuedAt });
+          saved += 1;
+        }
+      } catch (error) {
+        if (isNetworkError(error)) break;
+        failures.push(error.message || 'Unable to save tweet.');
+      }
+      state.offlineSaves = state.offlineSaves.filter((queued) => queued.tweetId !== entry.tweetId);
+      state.items = state.items.filter((item) => item.tweetId !== placeholderId);
+      persistOfflineSaves();
+    }
+  } finally {
+    offlineReplayInFlight = false;
+    renderItems();
+    renderOfflineBanner();
+  }
+
+  if (failures.length > 0) {
+    showMessage(`Saved ${saved} queued ${saved === 1 ? 'tweet' : 'tweets'}; ${failures.length} failed (${failures[0]}).`, 'info');
+  } else if (saved > 0) {
+    showMessage(`Saved ${saved} ${saved === 1 ? 'tweet' : 'tweets'} queued while offline.`, 'success');
+  }
+}
+
+function deleteWithUndo(tweetIds) {
+  const ids = Array.isArray(tweetIds) ? tweetIds : [tweetIds];
+  const results = deleteItems(ids);
+  ids.forEach((tweetId) => selection.delete(tweetId));
+  renderItems();
+  renderDetail();
+  updateSaveButtonState();
+  if (results.length > 0) {
+    showUndoToast(results);
+  }
+  return results;
+}
+
+function deleteItem(tweetId, { silent = false, fromSync = false } = {}) {
+  const [result = null] = deleteItems([tweetId], { fromSync });
+  if (result && !silent) {
+    renderItems();
+    renderDetail();
+    updateSaveButtonState();
+  }
+  return result;
+}
+
+// Removes the items in order and persists once. Results are
+// `{ item, index, thread }` in deletion order, where `index` is the item's
+// position after the earlier deletions, so undo can replay them in reverse.
+function deleteItems(tweetIds, { fromSync = false } = {}) {
+  const results = [];
+  let removedThreads = false;
+  tweetIds.forEach((tweetId) => {
+    const index = state.items.findIndex((entry) => entry.tweetId === tweetId);
+    if (index === -1) return;
+
+    const [removed] = state.items.splice(index, 1);
+    if (!fromSync) {
+      queueDeleteMutation(tweetId);
+    }
+    removeDocument(tweetId);
+    deleteMediaMetadata(tweetId);
+
+    const thread = state.threads[tweetId] || null;
+    if (thread) {
+      delete state.threads[tweetId];
+      removedThreads = true;
+    }
+    delete state.threadStatus[tweetId];
+    if (state.activeTweetId === tweetId) {
+      state.activeTweetId = null;
+    }
+    results.push({ item: removed, index, thread });
+  });
+
+  if (results.length > 0) {
+    persistItems();
+    if (removedThreads) persistThreads();
+  }
+  return results;
+}
+
+function applyRemoteChanges({ upserts = [], removals = [] } = {}) {
+  let didChange = false;
+
+  if (deleteItems(removals, { fromSync: true }).length > 0) {
+    didChange = true;
+  }
+
+  upserts.forEach((incoming) => {
+    if (!incoming?.tweetId) return;
+    const index = state.items.findIndex((entry) => entry.tweetId === incoming.tweetId);
+    if (index === -1) {
+      state.items.push(incoming);
+    } else {
+      state.items[index] = { ...state.items[index], ...incoming };
+    }
+    reindexItem(incoming.tweetId);
+    didChange = true;
+  });
+
+  if (!didChange) return;
+
+  sortItems();
+  persistItems(upserts.map((incoming) => incoming?.tweetId).filter(Boolean));
+  renderItems();
+  renderDetail();
+  updateSaveButtonState();
+}
+
+
+function sortItems() {
+  state.items.sort((a, b) => {
+    if (a.isPending !== b.isPending) return a.isPending ? -1 : 1;
+    return (b.savedAt || 0) - (a.savedAt || 0);
+  });
+}
+
+function openImportModal() {
+  if (!elements.importModal) return;
+  closeContextMenu();
+  elements.importModal.classList.remove('hidden');
+  document.body.classList.add('overflow-hidden');
+  renderImportProgress();
+  setTimeout(() => elements.importInput?.focus(), 0);
+}
+
+function closeImportModal() {
+  if (!elements.importModal) return;
+  elements.importModal.classList.add('hidden');
+  if (elements.detailModal.classList.contains('hidden')) {
+    document.body.classList.remove('overflow-hidden');
+  }
+}
+
+// Profile and list links open a picker of recent posts. The posts arrive
+// with full payloads, so selected ones are added without refetching.
+function openCollectionModal(source) {
+  if (!elements.collectionModal) return;
+  closeContextMenu();
+  collectionJob = {
+    source,
+    tweets: [],
+    selected: new Set(),
+    nextCursor: null,
+    loading: false,
+    error: null
+  };
+  const label = getCollectionLabel(source);
+  if (elements.collectionTitle) {
+    elements.collectionTitle.textContent = source.kind === 'list'
+      ? `Recent posts from ${label}`
+      : `Recent posts by ${label}`;
+  }
+  if (elements.collectionTagLabel) {
+    elements.collectionTagLabel.textContent = `Tag as #${getCollectionTag(source)}`;
+  }
+  if (elements.collectionSelectAll) elements.collectionSelectAll.checked = true;
+  if (elements.collectionTagToggle) elements.collectionTagToggle.checked = true;
+  elements.collectionModal.classList.remove('hidden');
+  document.body.classList.add('overflow-hidden');
+  renderCollection();
+  loadCollectionPage();
+}
+
+function closeCollectionModal() {
+  if (!elements.collectionModal) return;
+  elements.collectionModal.classList.add('hidden');
+  collectionJob = null;
+  if (elements.detailModal.classList.contains('hidden')) {
+    document.body.classList.remove('overflow-hidden');
+  }
+  focusTweetInput();
+}
+
+function getCollectionLabel(source) {
+  return source.kind === 'list' ? `list ${source.listId}` : `@${source.userName}`;
+}
+
+function getCollectionTag(source) {
+  return normalizeTag(source.kind === 'list' ? `list-${source.listId}` : source.userName);
+}
+
+async function loadCollectionPage() {
+  const job = collectionJob;
+  if (!job || job.loading) return;
+  if (!state.apiKey) {
+    // The key prompt sits under this modal, so close it rather than leave an
+    // empty "No posts found." behind.
+    closeCollectionModal();
+    showMessage('Please connect your API key first.', 'info');
+    setApiKeyModal(true, { allowCancel: true, presetKey: '' });
+    return;
+  }
+  job.loading = true;
+  job.error = null;
+  renderCollection();
+
+  const isList = job.source.kind === 'list';
+  try {
+    const response = await fetch(isList ? ENDPOINTS.LIST_TWEETS : ENDPOINTS.USER_TWEETS, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        apiKey: state.apiKey,
+        ...(isList ? { listId: job.source.listId } : { userName: job.source.userName }),
+        cursor: job.nextCursor || ''
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data?.message || `Unable to load posts (status ${response.status}).`);
+    }
+
+    const knownIds = new Set(job.tweets.map(getTweetId));
+    const incoming = sanitizeThreadTweets(Array.isArray(data?.tweets) ? data.tweets : [])
+      .filter((tweet) => !knownIds.has(getTweetId(tweet)));
+    job.tweets.push(...incoming);
+    if (elements.collectionSelectAll?.checked !== false) {
+      incoming.forEach((tweet) => {
+        if (!isTweetSaved(getTweetId(tweet))) job.selected.add(getTweetId(tweet));
+      });
+    }
+    job.nextCursor = data?.hasNextPage && data?.nextCursor ? data.nextCursor : null;
+  } catch (error) {
+    job.error = error.message || 'Unable to load posts.';
+  } finally {
+    job.loading = false;
+    if (collectionJob === job) renderCollection();
+  }
+}
+
+function isTweetSaved(tweetId) {
+  return state.items.some((item) => item.tweetId === tweetId);
+}
+
+function getSelectableCollectionTweets() {
+  return (collectionJob?.tweets || []).filter((tweet) => !isTweetSaved(getTweetId(tweet)));
+}
+
+function renderCollection() {
+  const job = collectionJob;
+  if (!job || !elements.collectionList) return;
+
+  elements.collectionList.innerHTML = '';
+  job.tweets.forEach((tweet) => {
+    const tweetId = getTweetId(tweet);
+    const saved = isTweetSaved(tweetId);
+    const row = document.createElement('li');
+    const label = document.createElement('label');
+    label.className = `flex items-start gap-3 py-3 ${saved ? 'opacity-50' : 'cursor-pointer'}`;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'mt-1 h-3.5 w-3.5 shrink-0';
+    checkbox.checked = saved || job.selected.has(tweetId);
+    checkbox.disabled = saved;
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        job.selected.add(tweetId);
+      } else {
+        job.selected.delete(tweetId);
+      }
+      renderCollectionStatus();
+    });
+
+    const text = document.createElement('div');
+    text.className = 'min-w-0 flex-1';
+    const snippet = document.createElement('p');
+    snippet.className = 'line-clamp-3 text-sm font-light text-[#1B1D1F]';
+    snippet.textContent = getTweetText(tweet) || 'Post without text';
+    const meta = document.createElement('p');
+    meta.className = 'mt-1 text-xs text-slate-500';
+    const date = formatDateShort(getTweetTimestamp(tweet));
+    meta.textContent = [tweet.author?.userName ? `@${tweet.author.userName}` : null, date, saved ? 'Already saved' : null]
+      .filter(Boolean)
+      .join(' · ');
+    text.append(snippet, meta);
+
+    label.append(checkbox, text);
+    row.append(label);
+    elements.collectionList.append(row);
+  });
+
+  if (elements.collectionLoadMore) {
+    elements.collectionLoadMore.classList.toggle('hidden', !job.nextCursor);
+    elements.collectionLoadMore.disabled = job.loading;
+  }
+  renderCollectionStatus();
+}
+
+function renderCollectionStatus() {
+  const job = collectionJob;
+  if (!job) return;
+  if (elements.collectionStatus) {
+    if (job.loading) {
+      elements.collectionStatus.textContent = 'Loading posts…';
+    } else if (job.error) {
+      elements.collectionStatus.textContent = job.error;
+    } else if (job.tweets.length === 0) {
+      elements.collectionStatus.textContent = 'No posts found.';
+    } else {
+      elements.collectionStatus.textContent = `${job.selected.size} of ${job.tweets.length} selected`;
+    }
+  }
+  if (elements.collectionAddButton) {
+    elements.collectionAddButton.disabled = job.loading || job.selected.size === 0;
+    elements.collectionAddButton.textContent = job.selected.size > 0 ? `Add ${job.selected.size}` : 'Add selected';
+  }
+}
+
+function addCollectionSelection() {
+  const job = collectionJob;
+  if (!job || job.selected.size === 0) return;
+  const tag = elements.collectionTagToggle?.checked ? getCollectionTag(job.source) : null;
+  const savedAt = Date.now();
+  const entries = [];
+
+  job.tweets.forEach((tweet, index) => {
+    const tweetId = getTweetId(tweet);
+    if (!job.selected.has(tweetId) || isTweetSaved(tweetId)) return;
+    const handle = tweet.author?.userName || job.source.userName || 'i';
+    entries.push({
+      item: {
+        tweetId,
+        url: tweet.url || `https://x.com/${handle}/status/${tweetId}`,
+        tweet,
+        // Keep the collection's order in the list by spacing savedAt by 1ms.
+        savedAt: savedAt - index,
+        updatedAt: savedAt,
+        tags: tag ? [tag] : []
+      }
+    });
+  });
+  const added = addImportedItems(entries);
+
+  closeCollectionModal();
+  renderItems();
+  updateSaveButtonState();
+  showMessage(`Added ${added} ${added === 1 ? 'post' : 'posts'} from ${getCollectionLabel(job.source)}.`, 'success');
+}
+
+function handleImportStart() {
+  if (importJob?.running) return;
+  const { candidates } = parseImportSource(elements.importInput?.value || '');
+  if (candidates.length === 0) {
+    renderImportProgress('Paste links, a bookmarks file or a Macro JSON export to import.');
+    return;
+  }
+  startImport(candidates);
+}
+
+function startImport(candidates) {
+  const job = {
+    total: candidates.length,
+    processed: 0,
+    imported: 0,
+    skipped: 0,
+    failed: [],
+    queue: [],
+    running: true
+  };
+  importJob = job;
+
+  const seen = new Set(state.items.map((item) => item.tweetId));
+  candidates.forEach((candidate) => {
+    const tweetId = candidate.item?.tweetId || extractTweetId(candidate.url);
+    if (!tweetId) {
+      job.failed.push({ url: candidate.url, tweetId: null, error: 'Not a recognizable tweet link.' });
+      job.processed += 1;
+      return;
+    }
+    if (seen.has(tweetId)) {
+      job.skipped += 1;
+      job.processed += 1;
+      return;
+    }
+    seen.add(tweetId);
+
+    if (candidate.item) {
+      const added = addImportedItem({ ...candidate.item, updatedAt: Date.now() }, candidate.thread);
+      job[added ? 'imported' : 'skipped'] += 1;
+      job.processed += 1;
+      return;
+    }
+
+    job.queue.push({ url: candidate.url, tweetId, savedAt: candidate.savedAt });
+  });
+
+  renderItems();
+  runImportQueue(job);
+}
+
+function retryFailedImports(entries = []) {
+  const job = importJob;
+  if (!job || job.running || entries.length === 0) return;
+  const retrying = new Set(entries);
+  job.failed = job.failed.filter((entry) => !retrying.has(entry));
+  job.processed -= entries.length;
+  job.queue.push(...entries.map(({ url, tweetId, savedAt }) => ({ url, tweetId, savedAt })));
+  job.running = true;
+  runImportQueue(job);
+}
+
+async function runImportQueue(job) {
+  renderImportProgress();
+  if (job.queue.length > 0 && !state.apiKey) {
+    job.queue.splice(0).forEach((entry) => {
+      job.failed.push({ ...entry, error: 'Connect your API key first.' });
+      job.processed += 1;
+    });
+  }
+
+  while (job.queue.length > 0) {
+    const batch = job.queue.splice(0, IMPORT_BATCH_SIZE);
+    let results = null;
+    try {
+      results = await fetchTweetsBatch(batch.map((entry) => entry.tweetId));
+    } catch (error) {
+      batch.forEach((entry) => {
+        job.failed.push({ ...entry, error: error.message || 'Unable to fetch tweets.' });
+      });
+      job.processed += batch.length;
+      renderImportProgress();
+      continue;
+    }
+
+    let didAdd = false;
+    batch.forEach((entry) => {
+      const result = results.get(entry.tweetId);
+      if (result?.status === 'ok' && result.tweet) {
+        const added = addImportedItem({
+          tweetId: entry.tweetId,
+          url: entry.url,
+          tweet: result.tweet,
+          savedAt: entry.savedAt || Date.now(),
+          updatedAt: Date.now()
+        });
+        job[added ? 'imported' : 'skipped'] += 1;
+        didAdd = didAdd || added;
+      } else {
+        job.failed.push({ ...entry, error: result?.message || 'Unable to fetch tweet.' });
+      }
+      job.processed += 1;
+    });
+    if (didAdd) renderItems();
+    renderImportProgress();
+  }
+
+  job.running = false;
+  renderImportProgress();
+  if (importJob === job) {
+    const failedLabel = job.failed.length ? `, ${job.failed.length} failed` : '';
+    showMessage(`Imported ${job.imported} ${job.imported === 1 ? 'tweet' : 'tweets'}${failedLabel}.`, job.failed.length ? 'info' : 'success');
+  }
+}
+
+function addImportedItem(item, thread = null) {
+  return addImportedItems([{ item, thread }]) > 0;
+}
+
+// Adds `{ item, thread }` entries that aren't saved yet, sorting and
+// persisting once for the whole batch. Returns how many were added.
+function addImportedItems(entries) {
+  const knownIds = new Set(state.items.map((entry) => entry.tweetId));
+  const added = [];
+  let addedThreads = false;
+  entries.forEach(({ item, thread = null }) => {
+    if (knownIds.has(item.tweetId)) return;
+    knownIds.add(item.tweetId);
+    state.items.push(item);
+    added.push(item);
+    if (thread && Array.isArray(thread.tweets) && thread.tweets.length > 0) {
+      state.threads[item.tweetId] = {
+        tweets: sanitizeThreadTweets(thread.tweets),
+        fetchedAt: typeof thread.fetchedAt === 'number' ? thread.fetchedAt : Date.now(),
+        rootTweetId: thread.rootTweetId || item.tweetId
+      };
+      addedThreads = true;
+    }
+  });
+  if (added.length === 0) return 0;
+
+  sortItems();
+  if (addedThreads) persistThreads();
+  persistItems();
+  added.forEach((item) => {
+    queueSaveMutation(item);
+    reindexItem(item.tweetId);
+    persistMediaMetadata(item.tweetId);
+  });
+  return added.length;
+}
+
+function renderImportProgress(message = '') {
+  if (!elements.importProgress) return;
+  const job = importJob;
+
+  if (message || !job) {
+    elements.importProgress.textContent = message;
+  } else {
+    const parts = [`${job.processed} of ${job.total} processed`, `${job.imported} imported`];
+    if (job.skipped) parts.push(`${job.skipped} already saved`);
+    if (job.failed.length) parts.push(`${job.failed.length} failed`);
+    elements.importProgress.textContent = `${job.running ? 'Importing… ' : ''}${parts.join(' · ')}`;
+  }
+
+  if (elements.importStartButton) {
+    elements.importStartButton.disabled = !!job?.running;
+  }
+
+  const failures = elements.importFailures;
+  if (!failures) return;
+  failures.innerHTML = '';
+  const failed = job?.failed || [];
+  failures.classList.toggle('hidden', failed.length === 0);
+  if (elements.importRetryButton) {
+    const retryable = failed.filter((entry) => entry.tweetId).length;
+    elements.importRetryButton.classList.toggle('hidden', retryable === 0 || !!job?.running);
+    elements.importRetryButton.textContent = `Retry ${retryable} failed`;
+  }
+
+  failed.forEach((entry) => {
+    const row = document.createElement('li');
+    row.className = 'flex items-start gap-3 py-2 text-xs';
+
+    const text = document.createElement('div');
+    text.className = 'min-w-0 flex-1';
+    const url = document.createElement('p');
+    url.className = 'truncate text-[#1B1D1F]';
+    url.textContent = entry.url || '(empty line)';
+    const error = document.createElement('p');
+    error.className = 'text-rose-500';
+    error.textContent = entry.error;
+    text.append(url, error);
+    row.append(text);
+
+    if (entry.tweetId && !job.running) {
+      const retry = document.createElement('button');
+      retry.type = 'button';
+      retry.className = 'shrink-0 rounded-md border border-slate-300 px-2 py-0.5 text-xs text-slate-600 transition hover:bg-slate-100';
+      retry.textContent = 'Retry';
+      retry.addEventListener('click', () => retryFailedImports([entry]));
+      row.append(retry);
+    }
+
+    failures.append(row);
+  });
+}
+
+function exportLibrary(format, { items: chosenItems = null } = {}) {
+  const items = (chosenItems || state.items).filter((item) => !item.isPending);
+  if (items.length === 0) {
+    showMessage('Save a tweet before exporting.', 'info');
+    return;
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'json') {
+    downloadTextFile(`macro-library-${stamp}.json`, buildJsonExport(items, state.threads), 'application/json');
+  } else if (format === 'csv') {
+    const rows = items.map((item) => ({
+      id: item.tweetId,
+      url: item.url,
+      author: item.tweet?.author?.name || '',
+      handle: item.tweet?.author?.userName || '',
+      savedAt: item.savedAt,
+      text: getTweetText(item.tweet)
+    }));
+    downloadTextFile(`macro-library-${stamp}.csv`, buildCsvExport(rows), 'text/csv');
+  } else if (format === 'markdown') {
+    const entries = items.map((item) => buildThreadEntry(item, state.threads[item.tweetId]?.tweets || []));
+    downloadTextFile(`macro-library-${stamp}.md`, buildMarkdownExport(entries), 'text/markdown');
+  } else if (format === 'epub') {
+    const tags = state.tagFilter.tags;
+    if (chosenItems) {
+      exportEpub(items, `${items.length} saved ${items.length === 1 ? 'thread' : 'threads'}`);
+    } else {
+      exportEpub(
+        getVisibleItems().filter((item) => !item.isPending),
+        tags.length ? tags.map((tag) => `#${tag}`).join(', ') : 'Macro library'
+      );
+    }
+    return;
+  } else {
+    return;
+  }
+  showMessage(`Exported ${items.length} ${items.length === 1 ? 'tweet' : 'tweets'}.`, 'success');
+}
+
+function buildItemEntry(item, { includeReplies = false } = {}) {
+  return buildThreadEntry(item, state.threads[item.tweetId]?.tweets || [], { includeReplies });
+}
+
+// Opens the print-styled article in a new tab; browsers' "Save as PDF"
+// handles the PDF. Falls back to a download when pop-ups are blocked.
+function openArticleView(tweetId, { print = false } = {}) {
+  const item = state.items.find((entry) => entry.tweetId === tweetId);
+  if (!item) return;
+  const entry = buildItemEntry(item, { includeReplies: state.showReplies });
+  const html = buildArticleHtml([entry], { title: entry.title || 'Macro' });
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html;charset=utf-8' }));
+  const view = print ? window.open(url, '_blank') : null;
+  if (view) {
+    view.addEventListener('load', () => view.print(), { once: true });
+  } else {
+    downloadTextFile(`${getExportSlug(entry.title || tweetId)}.html`, html, 'text/html');
+  }
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+async function exportEpub(items, title) {
+  if (items.length === 0) {
+    showMessage('Nothing to export in the current view.', 'info');
+    return;
+  }
+
+  showMessage(`Building EPUB with ${items.length} ${items.length === 1 ? 'chapter' : 'chapters'}…`, 'info');
+  try {
+    const entries = items
+      .map((item) => buildItemEntry(item, { includeReplies: items.length === 1 && state.showReplies }))
+      .sort((a, b) => (a.createdAt ?? a.savedAt ?? 0) - (b.createdAt ?? b.savedAt ?? 0));
+    const blob = await buildEpub(entries, {
+      title,
+      language: (navigator.language || 'en').split('-')[0],
+      fetchImage: fetchEpubImage
+    });
+    downloadBlob(`${getExportSlug(title)}.epub`, blob);
+    showMessage(`Exported ${items.length} ${items.length === 1 ? 'thread' : 'threads'} to EPUB.`, 'success');
+  } catch (error) {
+    console.error('[export] Unable to build EPUB', error);
+    showMessage('Unable to build the EPUB.', 'error');
+  }
+}
+
+// Archived copies are same-origin; twimg.com serves CORS headers, so both can
+// be embedded. Anything else is left as a link.
+async function fetchEpubImage(url) {
+  const response = await fetch(archivedMedia.get(url) || url, { mode: 'cors', credentials: 'omit' });
+  if (!response.ok) return null;
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+  return { data: new Uint8Array(await response.arrayBuffer()), type };
+}
+
+function getExportSlug(value) {
+  const slug = String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48);
+  return `macro-${slug || 'export'}`;
+}
+
+function rebuildSearchIndex() {
+  state.items.forEach((item) => reindexItem(item.tweetId));
+}
+
+function reindexItem(tweetId) {
+  const item = state.items.find((entry) => entry.tweetId === tweetId);
+  if (!item || item.isPending) {
+    removeDocument(tweetId);
+    return;
+  }
+  indexDocument(tweetId, buildSearchDocument(item));
+}
+
+function buildSearchDocument(item) {
+  const tweets = [item.tweet, ...(state.threads[item.tweetId]?.tweets || [])];
+  const parts = [];
+  tweets.forEach((tweet) => {
+    if (!tweet || typeof tweet !== 'object') return;
+    parts.push(getTweetText(tweet));
+    const author = tweet.author || tweet.user;
+    if (author?.name) parts.push(author.name);
+    getAuthorKeys(tweet).forEach((key) => {
+      if (key.startsWith('handle:')) parts.push(key.slice(7));
+    });
+    extractLinksFromTweet(tweet).forEach((link) => {
+      parts.push(link.expandedUrl || link.url);
+    });
+  });
+  if (Array.isArray(item.tags)) {
+    parts.push(...item.tags);
+  }
+  if (Array.isArray(item.highlights)) {
+    item.highlights.forEach((highlight) => parts.push(highlight.note));
+  }
+  return parts.filter(Boolean).join('\n');
+}
+
+function getSearchTerms() {
+  return tokenize(state.searchQuery);
+}
+
+// Pass `threadLengths` to share computed thread lengths with the caller.
+function getVisibleItems({ threadLengths } = {}) {
+  const matches = searchDocuments(state.searchQuery);
+  const { tags: activeTags, mode } = state.tagFilter;
+  const viewFilter = hasViewFilters() ? buildViewFilter(state.listView) : null;
+  const filtered = !matches && activeTags.length === 0 && !viewFilter
+    ? state.items
+    : state.items.filter((item) => {
+      if (item.isPending) return false;
+      if (matches && !matches.has(item.tweetId)) return false;
+      if (viewFilter && !viewFilter(item)) return false;
+      if (activeTags.length === 0) return true;
+      const itemTags = new Set(item.tags || []);
+      return mode === 'all'
+        ? activeTags.every((tag) => itemTags.has(tag))
+        : activeTags.some((tag) => itemTags.has(tag));
+    });
+  return sortVisibleItems(filtered, state.listView, threadLengths);
+}
+
+function hasActiveFilters() {
+  return getSearchTerms().length > 0 || state.tagFilter.tags.length > 0 || hasViewFilters();
+}
+
+function hasViewFilters() {
+  const { hasMedia, hasLinks, author, from, to } = state.listView;
+  return hasMedia || hasLinks || !!author || !!from || !!to;
+}
+
+function buildViewFilter({ hasMedia, hasLinks, author, dateField, from, to }) {
+  const start = from ? new Date(`${from}T00:00:00`).getTime() : null;
+  const end = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+  return (item) => {
+    const tweets = [item.tweet, ...(state.threads[item.tweetId]?.tweets || [])];
+    if (hasMedia && !tweets.some((tweet) => collectMedia(tweet || {}).length > 0)) return false;
+    if (hasLinks && !tweets.some((tweet) => extractLinksFromTweet(tweet || {}).length > 0)) return false;
+    if (author && getItemAuthorKey(item) !== author) return false;
+    if (start !== null || end !== null) {
+      const value = dateField === 'posted' ? getTweetTimestamp(item.tweet) : item.savedAt;
+      if (typeof value !== 'number') return false;
+      if (start !== null && value < start) return false;
+      if (end !== null && value > end) return false;
+    }
+    return true;
+  };
+}
+
+// state.items stays in saved order for persistence and sync; other orders
+// are applied to a copy. Pending saves always stay on top.
+function sortVisibleItems(items, { sort, descending }, threadLengths) {
+  if (sort === 'saved' && descending) return items;
+  const keys = new Map(items.map((item) => [item.tweetId, getSortKey(item, sort, threadLengths)]));
+  const direction = descending ? -1 : 1;
+  return items.slice().sort((a, b) => {
+    if (a.isPending !== b.isPending) return a.isPending ? -1 : 1;
+    const left = keys.get(a.tweetId);
+    const right = keys.get(b.tweetId);
+    if (left === right) return (b.savedAt || 0) - (a.savedAt || 0);
+    if (left === null) return 1;
+    if (right === null) return -1;
+    const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+    return order * direction;
+  });
+}
+
+function getSortKey(item, sort, threadLengths) {
+  switch (sort) {
+    case 'posted':
+      return getTweetTimestamp(item.tweet);
+    case 'author':
+      return (item.tweet?.author?.name || item.tweet?.author?.userName || '').toLowerCase() || null;
+    case 'engagement':
+      return getEngagementCount(item.tweet);
+    case 'length':
+      return getThreadLength(item, threadLengths);
+    default:
+      return item.savedAt || 0;
+  }
+}
+
+function getEngagementCount(tweet) {
+  const count = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : 0);
+  return count(tweet?.likeCount ?? tweet?.legacy?.favorite_count)
+    + count(tweet?.retweetCount ?? tweet?.legacy?.retweet_count)
+    + count(tweet?.replyCount ?? tweet?.legacy?.reply_count)
+    + count(tweet?.quoteCount ?? tweet?.legacy?.quote_count);
+}
+
+function getThreadLength(item, cache) {
+  if (cache?.has(item.tweetId)) return cache.get(item.tweetId);
+  const length = buildThreadSequence(item.tweet, state.threads[item.tweetId]?.tweets || []).length;
+  cache?.set(item.tweetId, length);
+  return length;
 }
 
-function removeStoredApiKey() {
-  if (state.auth.status === 'signed-in') {
-    deleteRemoteApiKey().catch((error) => {
-      console.warn('[sync] Failed to remove API key from cloud store', error);
-    });
-  }
-  state.keyPromptPending = true;
-  state.apiKey = null;
-  state.credits = null;
-  updateKeyStatus();
+function getItemAuthorKey(item) {
+  return (item.tweet?.author?.userName || '').toLowerCase();
 }
 
-function updateSaveButtonState() {
-  const value = elements.input.value.trim();
-  const tweetId = extractTweetId(value);
-  const disabled = !tweetId || !state.apiKey || state.isSaving || state.isAuthenticating;
-  elements.saveButton.disabled = disabled;
-  if (!elements.saveButton) return;
-  if (!tweetId || state.isSaving || state.isAuthenticating) {
-    elements.saveButton.classList.remove('is-visible');
-  } else {
-    elements.saveButton.classList.add('is-visible');
+function renderViewControls() {
+  const view = state.listView;
+  if (elements.viewSort) elements.viewSort.value = view.sort;
+  if (elements.viewDirection) {
+    elements.viewDirection.textContent = view.descending ? '↓' : '↑';
+    elements.viewDirection.title = view.descending ? 'Descending' : 'Ascending';
   }
-  if (!tweetId && value) {
-    showMessage('Please enter a valid tweet link from x.com or twitter.com.');
-  } else {
-    clearMessage();
+  if (elements.viewHasMedia) elements.viewHasMedia.checked = view.hasMedia;
+  if (elements.viewHasLinks) elements.viewHasLinks.checked = view.hasLinks;
+  if (elements.viewDateField) elements.viewDateField.value = view.dateField;
+  if (elements.viewFrom) elements.viewFrom.value = view.from;
+  if (elements.viewTo) elements.viewTo.value = view.to;
+  if (elements.viewReset) {
+    const isDefault = Object.keys(DEFAULT_LIST_VIEW).every((key) => view[key] === DEFAULT_LIST_VIEW[key]);
+    elements.viewReset.classList.toggle('hidden', isDefault);
+  }
+  if (elements.listMetaAdded) {
+    elements.listMetaAdded.textContent = SORT_COLUMN_LABELS[view.sort];
   }
-}
 
-function extractTweetId(value) {
-  if (!value) return null;
-  try {
-    let formatted = value.trim();
-    if (/^([^:]+)\.com\//.test(formatted) && !formatted.startsWith('http')) {
-      formatted = `https://${formatted}`;
-    }
-    const url = new URL(formatted);
-    if (!SUPPORTED_HOSTS.has(url.hostname.toLowerCase())) return null;
-    const segments = url.pathname.split('/').filter(Boolean);
-    if (segments.length < 2) return null;
-    const statusIndex = segments.indexOf('status');
-    const idCandidate = statusIndex >= 0 ? segments[statusIndex + 1] : segments[segments.length - 1];
-    if (!idCandidate) return null;
-    const match = idCandidate.match(/(\d{5,})/);
-    return match ? match[1] : null;
-  } catch (error) {
-    return null;
+  if (elements.viewAuthor) {
+    const authors = new Map();
+    state.items.forEach((item) => {
+      const key = getItemAuthorKey(item);
+      if (!key || item.isPending) return;
+      const entry = authors.get(key) || { label: item.tweet.author.name || `@${item.tweet.author.userName}`, count: 0 };
+      entry.count += 1;
+      authors.set(key, entry);
+    });
+    if (view.author && !authors.has(view.author)) {
+      authors.set(view.author, { label: `@${view.author}`, count: 0 });
+    }
+    const options = [['', 'Any author'], ...Array.from(authors.entries())
+      .sort((a, b) => b[1].count - a[1].count || a[1].label.localeCompare(b[1].label))
+      .map(([key, entry]) => [key, `${entry.label} (${entry.count})`])];
+    const signature = options.map(([key, label]) => `${key}:${label}`).join('|');
+    if (elements.viewAuthor.dataset.signature !== signature) {
+      elements.viewAuthor.replaceChildren(...options.map(([key, label]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        return option;
+      }));
+      elements.viewAuthor.dataset.signature = signature;
+    }
+    elements.viewAuthor.value = view.author;
   }
 }
 
-async function handleSave(event) {
-  event.preventDefault();
-  if (state.isSaving || state.isAuthenticating) return;
-
-  const rawValue = elements.input.value.trim();
-  const tweetId = extractTweetId(rawValue);
+function getAllTags() {
+  const counts = new Map();
+  state.items.forEach((item) => {
+    if (item.isPending || !Array.isArray(item.tags)) return;
+    item.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return Array.from(counts.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([tag, count]) => ({ tag, count }));
+}
 
-  if (!state.apiKey) {
-    showMessage('Please connect your API key first.', 'info');
-    setApiKeyModal(true, { allowCancel: true, presetKey: state.apiKey || '' });
-    return;
-  }
+function setItemTags(tweetId, tags) {
+  if (!applyItemTags(tweetId, tags)) return;
+  persistItems([tweetId]);
+  renderItems({ keepContextMenu: true });
+}
 
-  if (!tweetId) {
-    showMessage('Please enter a valid tweet link from x.com or twitter.com.');
-    return;
-  }
+function applyItemTags(tweetId, tags) {
+  const item = state.items.find((entry) => entry.tweetId === tweetId);
+  if (!item || item.isPending) return false;
+  item.tags = normalizeTags(tags);
+  item.updatedAt = Date.now();
+  queueSaveMutation(item);
+  reindexItem(tweetId);
+  return true;
+}
 
-  if (state.items.some((item) => item.tweetId === tweetId)) {
-    showMessage('That tweet is already saved.', 'info');
-    return;
+function toggleTagFilter(tag) {
+  const active = new Set(state.tagFilter.tags);
+  if (active.has(tag)) {
+    active.delete(tag);
+  } else {
+    active.add(tag);
   }
+  state.tagFilter.tags = Array.from(active);
+  renderItems();
+}
 
-  setSavingState(true);
-  updateSaveButtonState();
-  showMessage('', 'info');
+function renderTagFilters() {
+  const container = elements.tagFilters;
+  if (!container) return;
+  container.innerHTML = '';
+
+  const allTags = getAllTags();
+  const known = new Set(allTags.map((entry) => entry.tag));
+  state.tagFilter.tags = state.tagFilter.tags.filter((tag) => known.has(tag));
+  container.classList.toggle('hidden', allTags.length === 0);
+  if (allTags.length === 0) return;
+
+  const active = new Set(state.tagFilter.tags);
+  allTags.forEach(({ tag, count }) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = active.has(tag)
+      ? 'rounded-full border border-[#1B1D1F] bg-[#1B1D1F] px-3 py-1 text-xs font-light text-white transition'
+      : 'rounded-full border border-slate-200 px-3 py-1 text-xs font-light text-slate-600 transition hover:border-slate-400';
+    chip.textContent = `#${tag} ${count}`;
+    chip.setAttribute('aria-pressed', active.has(tag) ? 'true' : 'false');
+    chip.addEventListener('click', () => toggleTagFilter(tag));
+    container.append(chip);
+  });
 
-  const placeholderId = `pending-${Date.now()}`;
-  const placeholderItem = {
-    tweetId: placeholderId,
-    url: rawValue,
-    tweet: {
-      author: { name: 'Fetching…' },
-      text: rawValue
-    },
-    savedAt: Date.now(),
-    isPending: true
-  };
-  state.items.unshift(placeholderItem);
-  renderItems();
+  if (active.size > 1) {
+    const modeButton = document.createElement('button');
+    modeButton.type = 'button';
+    modeButton.className = 'ml-auto text-xs font-light text-slate-500 underline-offset-2 transition hover:text-[#1B1D1F] hover:underline';
+    modeButton.textContent = state.tagFilter.mode === 'all' ? 'Matching all tags' : 'Matching any tag';
+    modeButton.title = 'Switch between AND and OR matching';
+    modeButton.addEventListener('click', () => {
+      state.tagFilter.mode = state.tagFilter.mode === 'all' ? 'any' : 'all';
+      renderItems();
+    });
+    container.append(modeButton);
+  }
 
-  try {
-    const tweet = await fetchTweet(tweetId);
-    const newItem = {
-      tweetId,
-      url: rawValue,
-      tweet,
-      savedAt: Date.now()
-    };
-    const previousActiveId = state.activeTweetId;
-    const placeholderIndex = state.items.findIndex((entry) => entry.isPending && entry.tweetId === placeholderId);
-    if (placeholderIndex !== -1) {
-      state.items.splice(placeholderIndex, 1);
-    }
-    state.items.unshift(newItem);
-    state.activeTweetId = previousActiveId;
-    persistItems();
-    renderItems();
-    if (previousActiveId) {
-      renderDetail();
-    }
-    loadThread(tweetId);
-    elements.input.value = '';
-    showMessage('Tweet saved.', 'success');
-  } catch (error) {
-    const placeholderIndex = state.items.findIndex((entry) => entry.isPending && entry.tweetId === placeholderId);
-    if (placeholderIndex !== -1) {
-      state.items.splice(placeholderIndex, 1);
+  if (active.size > 0) {
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.className = `${active.size > 1 ? '' : 'ml-auto '}text-xs font-light text-slate-500 transition hover:text-[#1B1D1F]`;
+    clearButton.textContent = 'Clear';
+    clearButton.addEventListener('click', () => {
+      state.tagFilter.tags = [];
       renderItems();
-    }
-    showMessage(error.message || 'Unable to save tweet.');
-  } finally {
-    setSavingState(false);
-    updateSaveButtonState();
-    focusTweetInput();
+    });
+    container.append(clearButton);
   }
 }
 
-function deleteItem(tweetId, { silent = false } = {}) {
-  const index = state.items.findIndex((entry) => entry.tweetId === tweetId);
-  if (index === -1) return null;
+function renderContextTags() {
+  const list = elements.contextTagList;
+  const tweetId = contextMenuState?.item?.tweetId;
+  if (!list || !tweetId) return;
+  const item = state.items.find((entry) => entry.tweetId === tweetId);
+  if (!item) return;
+  list.innerHTML = '';
+
+  const itemTags = new Set(item.tags || []);
+  const tags = new Set([...getAllTags().map((entry) => entry.tag), ...itemTags]);
+  Array.from(tags).sort().forEach((tag) => {
+    const row = document.createElement('button');
+    row.type = 'button';
+    row.className = 'flex w-full items-center gap-2 px-4 py-1.5 text-left text-xs font-light transition hover:bg-slate-100';
+    row.setAttribute('aria-pressed', itemTags.has(tag) ? 'true' : 'false');
+
+    const check = document.createElement('span');
+    check.className = 'w-3 text-[#1B1D1F]';
+    check.textContent = itemTags.has(tag) ? '✓' : '';
+
+    const label = document.createElement('span');
+    label.className = 'truncate';
+    label.textContent = `#${tag}`;
+
+    row.append(check, label);
+    row.addEventListener('click', () => {
+      const next = itemTags.has(tag)
+        ? Array.from(itemTags).filter((entry) => entry !== tag)
+        : [...itemTags, tag];
+      setItemTags(tweetId, next);
+      renderContextTags();
+    });
+    list.append(row);
+  });
+}
 
-  const [removed] = state.items.splice(index, 1);
-  persistItems();
+function appendHighlightedText(element, text, terms = getSearchTerms()) {
+  if (!text) return;
+  const ranges = findTermRanges(text, terms);
+  if (ranges.length === 0) {
+    element.append(document.createTextNode(text));
+    return;
+  }
 
-  let thread = null;
-  if (tweetId) {
-    if (state.threads[tweetId]) {
-      thread = state.threads[tweetId];
-      delete state.threads[tweetId];
-      persistThreads();
-    }
-    if (state.threadStatus[tweetId]) {
-      delete state.threadStatus[tweetId];
+  let lastIndex = 0;
+  ranges.forEach(({ start, end }) => {
+    if (start > lastIndex) {
+      element.append(document.createTextNode(text.slice(lastIndex, start)));
     }
+    const mark = document.createElement('mark');
+    mark.className = 'search-highlight';
+    mark.textContent = text.slice(start, end);
+    element.append(mark);
+    lastIndex = end;
+  });
+  if (lastIndex < text.length) {
+    element.append(document.createTextNode(text.slice(lastIndex)));
   }
+}
 
-  if (state.activeTweetId === tweetId) {
-    state.activeTweetId = null;
+function getItemSnippet(item, terms = getSearchTerms()) {
+  const firstLine = {
+    text: decodeHtmlEntities((getTweetText(item.tweet) || item.url || '').split(/\r?\n/)[0]),
+    entities: getTweetEntities(item.tweet)
+  };
+  if (terms.length === 0) return firstLine;
+
+  const candidates = [item.tweet, ...(state.threads[item.tweetId]?.tweets || [])];
+  for (const tweet of candidates) {
+    const line = decodeHtmlEntities(getTweetText(tweet))
+      .split(/\r?\n/)
+      .find((entry) => findTermRanges(entry, terms).length > 0);
+    if (line) return { text: line.trim(), entities: getTweetEntities(tweet) };
   }
+  return firstLine;
+}
 
-  if (!silent) {
-    renderItems();
-    renderDetail();
-    updateSaveButtonState();
+/**
+ * Appends `text` with its mention, hashtag and cashtag tokens wrapped.
+ * `offset` is where `text` starts within the string the tokens were built
+ * from, so a paragraph split by highlight marks still lines up. Rows that are
+ * already buttons pass `linkify: false` to get styled spans instead of links.
+ */
+function appendRichText(element, text, tokens = [], { offset = 0, linkify = true, terms = getSearchTerms() } = {}) {
+  if (!text) return;
+  const end = offset + text.length;
+  const linked = tokens.filter((token) => token.href && token.end > offset && token.start < end);
+  if (linked.length === 0) {
+    appendHighlightedText(element, text, terms);
+    return;
   }
 
-  return { item: removed, index, thread };
+  let cursor = offset;
+  linked.forEach((token) => {
+    const start = Math.max(token.start, offset);
+    const stop = Math.min(token.end, end);
+    if (start > cursor) {
+      appendHighlightedText(element, text.slice(cursor - offset, start - offset), terms);
+    }
+    const wrapper = document.createElement(linkify ? 'a' : 'span');
+    wrapper.className = `rich-text-token rich-text-token--${token.type}`;
+    if (linkify) {
+      wrapper.href = token.href;
+      wrapper.target = '_blank';
+      wrapper.rel = 'noopener noreferrer';
+    }
+    appendHighlightedText(wrapper, text.slice(start - offset, stop - offset), terms);
+    element.append(wrapper);
+    cursor = stop;
+  });
+  if (cursor < end) {
+    appendHighlightedText(element, text.slice(cursor - offset), terms);
+  }
 }
 
-
 function formatDate(value) {
   if (!value) return '';
   try {
@@ -596,6 +2476,20 @@ function formatDateShort(value) {
   }
 }
 
+function formatTime(value) {
+  if (!value) return '';
+  try {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleTimeString(undefined, {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  } catch (error) {
+    return '';
+  }
+}
+
 function formatCount(value) {
   if (typeof value !== 'number') return '0';
   if (value < 1000) return String(value);
@@ -603,14 +2497,24 @@ function formatCount(value) {
   return `${(value / 1_000_000).toFixed(1).replace(/\.0$/, '')}M`;
 }
 
-function renderItems() {
-  closeContextMenu();
+function renderItems({ keepContextMenu = false } = {}) {
+  if (!keepContextMenu) {
+    closeContextMenu();
+  }
   elements.list.innerHTML = '';
-  toggleEmptyState();
-  updateListMeta();
-
-  state.items.forEach((item, index) => {
+  const threadLengths = new Map();
+  const visible = getVisibleItems({ threadLengths });
+  renderTagFilters();
+  toggleEmptyState(visible);
+  updateListMeta(visible);
+  renderViewControls();
+  renderBulkBar();
+
+  const terms = getSearchTerms();
+  visible.forEach((item) => {
+    const index = state.items.indexOf(item);
     const listItem = document.createElement('li');
+    listItem.dataset.tweetId = item.tweetId;
 
     const wrapper = document.createElement('div');
     const isActive = state.activeTweetId === item.tweetId;
@@ -618,7 +2522,9 @@ function renderItems() {
     wrapper.className = [
       'list-item',
       isPending ? 'list-item--pending' : null,
-      isActive ? 'list-item--selected' : null
+      isActive ? 'list-item--selected' : null,
+      listCursorId === item.tweetId ? 'list-item--cursor' : null,
+      selection.has(item.tweetId) ? 'list-item--checked' : null
     ].filter(Boolean).join(' ');
 
     const selectButton = document.createElement('button');
@@ -627,7 +2533,11 @@ function renderItems() {
     selectButton.style.paddingLeft = '0';
     selectButton.style.paddingRight = '0';
     if (!isPending) {
-      selectButton.addEventListener('click', () => selectItem(item.tweetId));
+      selectButton.addEventListener('mousedown', (event) => {
+        // Keep shift-click from selecting text across rows.
+        if (event.shiftKey) event.preventDefault();
+      });
+      selectButton.addEventListener('click', (event) => handleListClick(event, item.tweetId));
     } else {
       selectButton.disabled = true;
     }
@@ -640,16 +2550,36 @@ function renderItems() {
 
     const snippet = document.createElement('p');
     snippet.className = 'list-item__title truncate';
-    const firstLine = (getTweetText(item.tweet) || item.url || '').split(/\r?\n/)[0];
-    snippet.textContent = isPending ? 'Fetching tweet…' : firstLine || 'Saved tweet';
+    if (item.isQueued) {
+      snippet.textContent = item.url;
+    } else if (isPending) {
+      snippet.textContent = 'Fetching tweet…';
+    } else {
+      const { text, entities } = getItemSnippet(item, terms);
+      if (text) {
+        appendRichText(snippet, text, tokenizeTweetText(text, entities), { linkify: false, terms });
+      } else {
+        snippet.textContent = 'Saved tweet';
+      }
+    }
 
     const authorLine = document.createElement('p');
     authorLine.className = 'list-item__subtitle truncate';
-    if (isPending) {
+    if (item.isQueued) {
+      authorLine.textContent = state.isOnline ? 'Saving…' : 'Waiting for connection…';
+    } else if (isPending) {
       authorLine.textContent = 'Please wait…';
     } else if (item.tweet?.author) {
       const { name } = item.tweet.author;
-      authorLine.textContent = name ? `By ${name}` : 'By Unknown';
+      if (name) {
+        authorLine.append(document.createTextNode('By '));
+        appendHighlightedText(authorLine, name, terms);
+      } else {
+        authorLine.textContent = 'By Unknown';
+      }
+      if (Array.isArray(item.tags) && item.tags.length > 0) {
+        authorLine.append(document.createTextNode(` · ${item.tags.map((tag) => `#${tag}`).join(' ')}`));
+      }
     } else {
       authorLine.textContent = 'By Unknown';
     }
@@ -658,7 +2588,14 @@ function renderItems() {
 
     const dateLabel = document.createElement('span');
     dateLabel.className = 'list-item__date whitespace-nowrap';
-    dateLabel.textContent = !isPending && item.savedAt ? formatDateShort(item.savedAt) : '';
+    dateLabel.textContent = isPending ? '' : getListColumnValue(item, threadLengths);
+    const newPosts = state.threads[item.tweetId]?.newPosts || 0;
+    if (newPosts > 0 && !isActive) {
+      const badge = document.createElement('span');
+      badge.className = 'ml-2 rounded-full bg-sky-100 px-2 py-0.5 text-[11px] font-normal text-sky-700';
+      badge.textContent = `${newPosts} new ${newPosts === 1 ? 'post' : 'posts'}`;
+      dateLabel.prepend(badge);
+    }
 
     selectButton.append(avatar, textColumn, dateLabel);
 
@@ -673,6 +2610,23 @@ function renderItems() {
   });
 }
 
+function getListColumnValue(item, threadLengths) {
+  switch (state.listView.sort) {
+    case 'posted':
+      return formatDateShort(getTweetTimestamp(item.tweet));
+    case 'author':
+      return item.tweet?.author?.userName ? `@${item.tweet.author.userName}` : '';
+    case 'engagement':
+      return formatCount(getEngagementCount(item.tweet));
+    case 'length': {
+      const length = getThreadLength(item, threadLengths);
+      return `${length} ${length === 1 ? 'post' : 'posts'}`;
+    }
+    default:
+      return item.savedAt ? formatDateShort(item.savedAt) : '';
+  }
+}
+
 function renderAuthState(authState = state.auth) {
   const profileButton = elements.profileButton;
   const profileLabel = elements.profileButtonLabel;
@@ -746,13 +2700,41 @@ function renderAuthState(authState = state.auth) {
 }
 
 function renderSyncState(syncState = state.sync) {
-  if (!syncState) return;
-  // Future enhancement: surface sync status in the UI. For now we keep this hook for upcoming work.
+  if (!syncState || !elements.syncStatus) return;
+  const label = elements.syncStatus;
+  let text = '';
+  let title = syncState.error || '';
+  let tone = 'text-slate-400';
+
+  if (syncState.status === 'syncing') {
+    text = 'Syncing…';
+  } else if (syncState.status === 'error') {
+    text = 'Sync failed';
+    tone = 'text-rose-500';
+  } else if (syncState.status === 'idle' && syncState.conflicts?.length > 0) {
+    const count = syncState.conflicts.length;
+    const remoteWins = syncState.conflicts.filter((entry) => entry.resolution === 'remote').length;
+    text = `${count} ${count === 1 ? 'conflict' : 'conflicts'} resolved`;
+    title = `${remoteWins} kept from another device, ${count - remoteWins} kept from this device.`;
+    tone = 'text-amber-600';
+  } else if (syncState.status === 'idle' && syncState.pending > 0) {
+    text = `${syncState.pending} pending`;
+  } else if (syncState.status === 'idle' && syncState.lastSyncedAt) {
+    text = `Synced ${formatTime(syncState.lastSyncedAt)}`;
+  }
+
+  label.textContent = text;
+  label.title = title;
+  label.className = `text-xs font-light ${tone}`;
+  label.classList.toggle('hidden', !text);
 }
 
 function toggleProfileMenu() {
   if (!elements.profileMenu) return;
   elements.profileMenu.classList.toggle('hidden');
+  if (!elements.profileMenu.classList.contains('hidden')) {
+    refreshUsage();
+  }
 }
 
 function hideProfileMenu() {
@@ -768,6 +2750,101 @@ function setProfileButtonDisabled(isDisabled) {
   elements.profileButton.classList.toggle('cursor-pointer', !isDisabled);
 }
 
+// Plain clicks open the tweet; shift-click selects the range from the last
+// clicked row and ctrl/cmd-click toggles a single row.
+function handleListClick(event, tweetId) {
+  if (event.shiftKey) {
+    const visible = getVisibleItems().filter((item) => !item.isPending);
+    const anchorId = selectionAnchorId || listCursorId || tweetId;
+    const from = visible.findIndex((item) => item.tweetId === anchorId);
+    const to = visible.findIndex((item) => item.tweetId === tweetId);
+    const [start, end] = from === -1 ? [to, to] : [Math.min(from, to), Math.max(from, to)];
+    visible.slice(start, end + 1).forEach((item) => selection.add(item.tweetId));
+    selectionAnchorId = anchorId;
+  } else if (event.metaKey || event.ctrlKey) {
+    toggleSelection(tweetId);
+  } else {
+    selection.clear();
+    selectionAnchorId = tweetId;
+    selectItem(tweetId);
+    return;
+  }
+  listCursorId = tweetId;
+  renderItems();
+}
+
+function toggleSelection(tweetId) {
+  if (selection.has(tweetId)) {
+    selection.delete(tweetId);
+  } else {
+    selection.add(tweetId);
+  }
+  selectionAnchorId = tweetId;
+}
+
+function clearSelection() {
+  if (selection.size === 0) return;
+  selection.clear();
+  selectionAnchorId = null;
+  renderItems();
+}
+
+function getSelectedItems() {
+  return state.items.filter((item) => selection.has(item.tweetId) && !item.isPending);
+}
+
+function renderBulkBar() {
+  // Drop ids that were deleted or are no longer saved.
+  selection.forEach((tweetId) => {
+    if (!state.items.some((item) => item.tweetId === tweetId)) selection.delete(tweetId);
+  });
+  if (!elements.bulkBar) return;
+  elements.bulkBar.classList.toggle('hidden', selection.size === 0);
+  if (elements.bulkCount) {
+    elements.bulkCount.textContent = `${selection.size} selected`;
+  }
+  if (elements.bulkRefresh) {
+    elements.bulkRefresh.disabled = bulkRefreshInFlight || !state.apiKey;
+    elements.bulkRefresh.textContent = bulkRefreshInFlight ? 'Refreshing…' : 'Refresh threads';
+  }
+}
+
+function tagSelectedItems(tag) {
+  const items = getSelectedItems();
+  items.forEach((item) => applyItemTags(item.tweetId, [...(item.tags || []), tag]));
+  persistItems(items.map((item) => item.tweetId));
+  renderItems();
+  showMessage(`Tagged ${items.length} ${items.length === 1 ? 'tweet' : 'tweets'} #${tag}.`, 'success');
+}
+
+// Threads are refreshed one at a time, the same way as the single-thread
+// refresh, so a large selection doesn't burst through the API budget in
+// parallel. The progress message carries the worst-case request cost.
+async function refreshSelectedThreads() {
+  if (bulkRefreshInFlight || !state.apiKey) return;
+  const ids = getSelectedItems().map((item) => item.tweetId);
+  if (ids.length === 0) return;
+  bulkRefreshInFlight = true;
+  renderBulkBar();
+
+  const maxRequests = ids.length * THREAD_MAX_PAGES;
+  let failed = 0;
+  for (const [position, tweetId] of ids.entries()) {
+    showMessage(`Refreshing threads… ${position + 1} of ${ids.length} (up to ${maxRequests} API requests)`, 'info');
+    const thread = await loadThread(tweetId, { force: true });
+    if (!thread) failed += 1;
+  }
+
+  bulkRefreshInFlight = false;
+  renderItems();
+  showMessage(
+    failed > 0
+      ? `Refreshed ${ids.length - failed} of ${ids.length} threads.`
+      : `Refreshed ${ids.length} ${ids.length === 1 ? 'thread' : 'threads'}.`,
+    failed > 0 ? 'info' : 'success'
+  );
+}
+
 function openContextMenu(event, item, index) {
   const menu = elements.contextMenu;
   if (!menu) return;
@@ -776,6 +2853,10 @@ function openContextMenu(event, item, index) {
   hideProfileMenu();
 
   contextMenuState = { item, index };
+  if (elements.contextTagInput) {
+    elements.contextTagInput.value = '';
+  }
+  renderContextTags();
   menu.classList.remove('hidden');
   menu.style.left = '0px';
   menu.style.top = '0px';
@@ -847,12 +2928,18 @@ function createAvatarElement(author = {}, size = 48) {
 
 function selectItem(tweetId) {
   state.activeTweetId = tweetId;
+  listCursorId = tweetId;
+  if (state.threads[tweetId]?.newPosts) {
+    state.threads[tweetId].newPosts = 0;
+    persistThreads();
+  }
   renderItems();
   renderDetail();
 }
 
 function closeDetailModal() {
   state.activeTweetId = null;
+  hideHighlightPopover();
   elements.detailModal.classList.add('hidden');
   document.body.classList.remove('overflow-hidden');
   renderItems();
@@ -867,6 +2954,8 @@ function renderDetail() {
     elements.detailPlaceholder.textContent = state.items.length ? 'Select a saved tweet to read it.' : 'Save a tweet to start a collection.';
     elements.detailPlaceholder.classList.remove('hidden');
     elements.detailContainer.classList.add('hidden');
+    elements.detailHighlights?.classList.add('hidden');
+    hideHighlightPopover();
     return;
   }
 
@@ -883,8 +2972,11 @@ function renderDetail() {
     loadThread(item.tweetId);
   }
 
-  const tweetsForArticle = buildThreadSequence(item.tweet, cachedThread?.tweets || []);
-  const leadTweet = tweetsForArticle[0] || item.tweet;
+  const authorTweets = buildThreadSequence(item.tweet, cachedThread?.tweets || []);
+  const conversationTweets = buildThreadSequence(item.tweet, cachedThread?.tweets || [], { includeReplies: true });
+  const replyCount = conversationTweets.length - authorTweets.length;
+  const tweetsForArticle = state.showReplies ? conversationTweets : authorTweets;
+  const leadTweet = authorTweets[0] || item.tweet;
 
   elements.detailPlaceholder.classList.add('hidden');
   elements.detailContainer.classList.remove('hidden');
@@ -926,6 +3018,11 @@ function renderDetail() {
   header.append(identity);
   elements.detailContainer.append(header);
 
+  const replyContext = createReplyContext(leadTweet, cachedThread?.tweets || [], tweetsForArticle);
+  if (replyContext) {
+    elements.detailContainer.append(replyContext);
+  }
+
   if (status.loading && (!cachedThread || !cachedThread.tweets?.length)) {
     const loadingMessage = document.createElement('p');
     loadingMessage.className = 'mt-6 text-sm text-slate-500';
@@ -954,31 +3051,65 @@ function renderDetail() {
   articleWrapper.className = 'mt-4 space-y-4 text-sm leading-relaxed text-[#1B1D1F] sm:text-base';
 
   const contentBlocks = composeThreadContentBlocks(tweetsForArticle);
+  const { ranges: highlightRanges, orphaned } = resolveHighlightAnchors(item.highlights, contentBlocks);
+  // Highlights on replies that are currently hidden aren't orphaned.
+  const renderedIds = new Set(tweetsForArticle.map(getTweetId));
+  conversationTweets.forEach((tweet) => {
+    if (renderedIds.has(getTweetId(tweet))) return;
+    (item.highlights || []).forEach((highlight) => {
+      if (highlight.tweetId === getTweetId(tweet)) orphaned.delete(highlight.id);
+    });
+  });
+  renderHighlightPanel(item, orphaned);
   if (contentBlocks.length > 0) {
-    contentBlocks.forEach((block) => {
+    contentBlocks.forEach((block, blockIndex) => {
       if (block.type === 'text') {
         const paragraph = document.createElement('p');
         paragraph.className = 'whitespace-pre-wrap';
-        paragraph.textContent = block.text;
+        if (block.tweetId) {
+          paragraph.dataset.tweetId = block.tweetId;
+          paragraph.dataset.offset = String(block.offset);
+        }
+        appendAnnotatedText(paragraph, block.text, highlightRanges.get(blockIndex), block.tokens);
         articleWrapper.append(paragraph);
+      } else if (block.type === 'author') {
+        articleWrapper.append(createReplyByline(block.author));
       } else if (block.type === 'link-card') {
         articleWrapper.append(createLinkPreview(block.link));
       } else if (block.type === 'media' && Array.isArray(block.items) && block.items.length > 0) {
         articleWrapper.append(createMediaGroup(block.items));
+      } else if (block.type === 'quote') {
+        articleWrapper.append(createEmbeddedTweetCard(block.tweet, block.blocks));
       }
     });
   } else {
-    const fallbackText = getTweetText(leadTweet);
+    const fallbackText = decodeHtmlEntities(getTweetText(leadTweet));
     if (fallbackText) {
       const fallback = document.createElement('p');
       fallback.className = 'whitespace-pre-wrap';
-      fallback.textContent = fallbackText;
+      appendHighlightedText(fallback, fallbackText);
       articleWrapper.append(fallback);
     }
   }
 
   elements.detailContainer.append(articleWrapper);
 
+  if (replyCount > 0) {
+    const repliesToggle = document.createElement('button');
+    repliesToggle.type = 'button';
+    repliesToggle.className = 'mt-4 text-xs font-light text-slate-500 underline-offset-2 transition hover:text-[#1B1D1F] hover:underline';
+    repliesToggle.setAttribute('aria-pressed', String(state.showReplies));
+    repliesToggle.textContent = state.showReplies
+      ? 'Hide replies from others'
+      : `Show ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'} from others`;
+    repliesToggle.addEventListener('click', () => setShowReplies(!state.showReplies));
+    elements.detailContainer.append(repliesToggle);
+  }
+
+  if (cachedThread?.nextCursor) {
+    elements.detailContainer.append(createLoadMoreControl(item.tweetId, status));
+  }
+
   const footer = document.createElement('div');
   footer.className = 'mt-6 flex flex-col gap-3 border-t border-slate-200 pt-4 sm:flex-row sm:items-center sm:justify-between';
 
@@ -987,69 +3118,395 @@ function renderDetail() {
     if (formatted) {
       const cachedTime = document.createElement('p');
       cachedTime.className = 'text-xs text-slate-500';
-      cachedTime.textContent = `Thread cached on ${formatted}.`;
+      cachedTime.textContent = status.fromCache
+        ? `Thread cached on ${formatted} · served from cache.`
+        : `Thread cached on ${formatted}.`;
       footer.append(cachedTime);
     }
   }
 
+  const actions = document.createElement('div');
+  actions.className = 'flex flex-wrap items-center gap-2';
+  const exportButtons = [
+    { label: 'Print / PDF', onClick: () => openArticleView(item.tweetId, { print: true }) },
+    { label: 'HTML', onClick: () => openArticleView(item.tweetId) },
+    { label: 'EPUB', onClick: () => exportEpub([item], item.tweet?.author?.name ? `${item.tweet.author.name} thread` : 'Macro thread') },
+    ...(item.tags || []).map((tag) => ({
+      label: `EPUB #${tag}`,
+      onClick: () => exportEpub(state.items.filter((entry) => !entry.isPending && entry.tags?.includes(tag)), `#${tag}`)
+    }))
+  ];
+  exportButtons.forEach(({ label, onClick }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'rounded-md border border-slate-200 px-3 py-2 text-xs font-light text-slate-600 transition hover:bg-slate-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-[#1B1D1F]/40';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    actions.append(button);
+  });
+
   const viewButton = document.createElement('a');
   viewButton.href = item.url;
   viewButton.target = '_blank';
   viewButton.rel = 'noopener noreferrer';
   viewButton.className = 'rounded-md border border-[#1B1D1F] px-4 py-2 text-sm font-light text-[#1B1D1F] transition hover:bg-[rgba(27,29,31,0.08)] focus:outline-none focus-visible:ring-2 focus-visible:ring-[#1B1D1F]/40';
   viewButton.textContent = 'View original tweet';
-  footer.append(viewButton);
+  actions.append(viewButton);
+  footer.append(actions);
 
   elements.detailContainer.append(footer);
 }
 
-function composeThreadContentBlocks(tweets = []) {
-  const blocks = [];
-  tweets.forEach((tweet) => {
-    if (!tweet || typeof tweet !== 'object') return;
-    const text = getTweetText(tweet);
-    const links = extractLinksFromTweet(tweet);
-
-    let processedText = text;
-    links.forEach((link) => {
-      const candidates = [link.url, link.expandedUrl, link.expanded_url];
-      candidates.forEach((value) => {
-        if (!value) return;
-        const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const regexp = new RegExp(escaped, 'g');
-        processedText = processedText.replace(regexp, '').trim();
-      });
-    });
+/**
+ * Shows what the thread is replying to. The parent is rendered as a card
+ * when /api/thread returned it, otherwise as a link; nothing is shown when
+ * the parent is already part of the rendered sequence.
+ */
+function createReplyContext(leadTweet, fetchedTweets, renderedTweets) {
+  const parentId = getParentTweetId(leadTweet);
+  if (!parentId || renderedTweets.some((tweet) => getTweetId(tweet) === parentId)) return null;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'mt-4 space-y-2';
+
+  const label = document.createElement('p');
+  label.className = 'text-xs text-slate-500';
+  const parentHandle = leadTweet.inReplyToUsername || leadTweet.in_reply_to_screen_name || leadTweet.legacy?.in_reply_to_screen_name;
+  label.textContent = parentHandle ? `Replying to @${parentHandle}` : 'Replying to';
+  wrapper.append(label);
+
+  const parent = fetchedTweets.find((tweet) => getTweetId(tweet) === parentId);
+  if (parent) {
+    wrapper.append(createEmbeddedTweetCard(parent, composeThreadContentBlocks([parent], { nested: true })));
+  } else {
+    const link = document.createElement('a');
+    link.href = `https://x.com/${parentHandle || 'i/web'}/status/${parentId}`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.className = 'text-xs font-light text-[#1B1D1F] underline-offset-2 hover:underline';
+    link.textContent = 'View the post being replied to';
+    wrapper.append(link);
+  }
+  return wrapper;
+}
+
+function createReplyByline(author = {}) {
+  const byline = document.createElement('div');
+  byline.className = 'flex items-center gap-2 border-t border-slate-100 pt-4 text-xs text-slate-500';
+  byline.append(createAvatarElement(author, 20));
+  const name = document.createElement('span');
+  name.textContent = [author?.name, author?.userName ? `@${author.userName}` : null].filter(Boolean).join(' · ') || 'Reply';
+  byline.append(name);
+  return byline;
+}
+
+// Quoted tweets and reply parents render as a compact card built from the
+// same content blocks as the article.
+function createEmbeddedTweetCard(tweet, blocks = []) {
+  const card = document.createElement('div');
+  card.className = 'space-y-3 rounded-xl border border-slate-200 px-4 py-3';
+
+  const header = document.createElement('div');
+  header.className = 'flex items-center gap-2 text-xs text-slate-500';
+  header.append(createAvatarElement(tweet?.author, 20));
+
+  const byline = document.createElement('a');
+  byline.href = getTweetUrl(tweet);
+  byline.target = '_blank';
+  byline.rel = 'noopener noreferrer';
+  byline.className = 'min-w-0 truncate hover:underline';
+  byline.textContent = [
+    tweet?.author?.name,
+    tweet?.author?.userName ? `@${tweet.author.userName}` : null,
+    formatDateShort(getTweetTimestamp(tweet))
+  ].filter(Boolean).join(' · ') || 'Quoted post';
+  header.append(byline);
+  card.append(header);
+
+  blocks.forEach((block) => {
+    if (block.type === 'text') {
+      const paragraph = document.createElement('p');
+      paragraph.className = 'whitespace-pre-wrap text-sm';
+      appendRichText(paragraph, block.text, block.tokens);
+      card.append(paragraph);
+    } else if (block.type === 'link-card') {
+      card.append(createLinkPreview(block.link));
+    } else if (block.type === 'media' && Array.isArray(block.items) && block.items.length > 0) {
+      card.append(createMediaGroup(block.items));
+    }
+  });
+  return card;
+}
+
+function createLoadMoreControl(tweetId, status) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'mt-6 flex flex-col items-center gap-2';
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'rounded-md border border-slate-200 px-4 py-2 text-sm font-light text-[#1B1D1F] transition hover:bg-slate-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-[#1B1D1F]/40';
+  button.textContent = status.loadingMore ? 'Loading more…' : 'Load more of this thread';
+  button.disabled = !!status.loadingMore || !state.apiKey;
+  button.addEventListener('click', () => loadMoreThread(tweetId));
+  wrapper.append(button);
+
+  if (status.loadMoreError) {
+    const error = document.createElement('p');
+    error.className = 'text-xs text-rose-500';
+    error.textContent = status.loadMoreError;
+    wrapper.append(error);
+  }
+
+  return wrapper;
+}
+
+/**
+ * Maps stored highlights onto the text blocks being rendered. Offsets are
+ * relative to a tweet's link-stripped text; when a re-fetched thread shifts
+ * them, the quote is searched for again before the highlight is treated as
+ * orphaned.
+ */
+function resolveHighlightAnchors(highlights = [], blocks = []) {
+  const ranges = new Map();
+  const orphaned = new Set();
+  if (!Array.isArray(highlights) || highlights.length === 0) {
+    return { ranges, orphaned };
+  }
+
+  const addRange = (blockIndex, range) => {
+    if (!ranges.has(blockIndex)) ranges.set(blockIndex, []);
+    ranges.get(blockIndex).push(range);
+  };
+
+  highlights.forEach((highlight) => {
+    const candidates = blocks
+      .map((block, index) => ({ block, index }))
+      .filter(({ block }) => block.type === 'text' && block.tweetId === highlight.tweetId);
+
+    const exact = candidates.find(({ block }) => {
+      const start = highlight.start - block.offset;
+      const end = highlight.end - block.offset;
+      return start >= 0 && end <= block.text.length && block.text.slice(start, end) === highlight.quote;
+    });
+    if (exact) {
+      addRange(exact.index, {
+        id: highlight.id,
+        start: highlight.start - exact.block.offset,
+        end: highlight.end - exact.block.offset,
+        note: highlight.note
+      });
+      return;
+    }
+
+    // Quotes saved before entity decoding may still contain "&amp;" etc.
+    const quote = decodeHtmlEntities(highlight.quote);
+    const moved = candidates.find(({ block }) => quote && block.text.includes(quote));
+    if (moved) {
+      const start = moved.block.text.indexOf(quote);
+      addRange(moved.index, {
+        id: highlight.id,
+        start,
+        end: start + quote.length,
+        note: highlight.note
+      });
+      return;
+    }
+
+    orphaned.add(highlight.id);
+  });
+
+  ranges.forEach((list) => list.sort((a, b) => a.start - b.start));
+  return { ranges, orphaned };
+}
+
+function appendAnnotatedText(element, text, ranges = [], tokens = []) {
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    appendRichText(element, text, tokens);
+    return;
+  }
+
+  let cursor = 0;
+  ranges.forEach((range) => {
+    if (range.start < cursor) return;
+    if (range.start > cursor) {
+      appendRichText(element, text.slice(cursor, range.start), tokens, { offset: cursor });
+    }
+    const mark = document.createElement('mark');
+    mark.className = 'thread-highlight';
+    mark.dataset.highlightId = range.id;
+    if (range.note) {
+      mark.title = range.note;
+    }
+    appendRichText(mark, text.slice(range.start, range.end), tokens, { offset: range.start });
+    element.append(mark);
+    cursor = range.end;
+  });
+  if (cursor < text.length) {
+    appendRichText(element, text.slice(cursor), tokens, { offset: cursor });
+  }
+}
+
+function renderHighlightPanel(item, orphaned = new Set()) {
+  const panel = elements.detailHighlights;
+  if (!panel) return;
+  panel.innerHTML = '';
+  const highlights = Array.isArray(item.highlights) ? item.highlights : [];
+  panel.classList.toggle('hidden', highlights.length === 0);
+  if (highlights.length === 0) return;
+
+  const heading = document.createElement('p');
+  heading.className = 'text-xs uppercase tracking-wide text-slate-500';
+  heading.textContent = `${highlights.length} ${highlights.length === 1 ? 'Highlight' : 'Highlights'}`;
+  panel.append(heading);
+
+  highlights
+    .slice()
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    .forEach((highlight) => {
+      const entry = document.createElement('div');
+      entry.className = 'mt-4 space-y-1 border-l-2 border-amber-300 pl-3';
+
+      const quote = document.createElement('button');
+      quote.type = 'button';
+      quote.className = 'block text-left text-sm font-light text-[#1B1D1F] transition hover:text-[#111315]';
+      quote.textContent = highlight.quote;
+      quote.addEventListener('click', () => {
+        const mark = elements.detailContainer.querySelector(`[data-highlight-id="${highlight.id}"]`);
+        mark?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      });
+      entry.append(quote);
+
+      if (highlight.note) {
+        const note = document.createElement('p');
+        note.className = 'whitespace-pre-wrap text-xs text-slate-600';
+        note.textContent = highlight.note;
+        entry.append(note);
+      }
+
+      if (orphaned.has(highlight.id)) {
+        const missing = document.createElement('p');
+        missing.className = 'text-xs text-amber-600';
+        missing.textContent = 'Text no longer found in this thread.';
+        entry.append(missing);
+      }
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'text-xs font-light text-rose-500 transition hover:text-rose-600';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => removeHighlight(item.tweetId, highlight.id));
+      entry.append(removeButton);
+
+      panel.append(entry);
+    });
+}
+
+function captureDetailSelection() {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+    hideHighlightPopover();
+    return;
+  }
+
+  const range = selection.getRangeAt(0);
+  const paragraph = findAnchorParagraph(range.startContainer);
+  if (!paragraph || paragraph !== findAnchorParagraph(range.endContainer)) {
+    hideHighlightPopover();
+    return;
+  }
+
+  let start = getTextOffset(paragraph, range.startContainer, range.startOffset);
+  let end = getTextOffset(paragraph, range.endContainer, range.endOffset);
+  const text = paragraph.textContent || '';
+  while (start < end && /\s/.test(text[start])) start += 1;
+  while (end > start && /\s/.test(text[end - 1])) end -= 1;
+  if (end <= start) {
+    hideHighlightPopover();
+    return;
+  }
+
+  const offset = Number(paragraph.dataset.offset) || 0;
+  pendingHighlight = {
+    itemTweetId: state.activeTweetId,
+    tweetId: paragraph.dataset.tweetId,
+    start: offset + start,
+    end: offset + end,
+    quote: text.slice(start, end)
+  };
+  showHighlightPopover(range.getBoundingClientRect());
+}
+
+function findAnchorParagraph(node) {
+  const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  const paragraph = element?.closest('p[data-tweet-id]');
+  return paragraph && elements.detailContainer.contains(paragraph) ? paragraph : null;
+}
+
+function getTextOffset(root, node, offset) {
+  const range = document.createRange();
+  range.selectNodeContents(root);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+
+function showHighlightPopover(rect) {
+  const popover = elements.highlightPopover;
+  if (!popover) return;
+  popover.classList.remove('hidden');
+  const padding = 8;
+  const { width, height } = popover.getBoundingClientRect();
+  let left = rect.left + rect.width / 2 - width / 2;
+  let top = rect.bottom + padding;
+  if (top + height > window.innerHeight - padding) {
+    top = rect.top - height - padding;
+  }
+  left = Math.min(Math.max(padding, left), window.innerWidth - width - padding);
+  popover.style.left = `${left}px`;
+  popover.style.top = `${Math.max(padding, top)}px`;
+  if (elements.highlightNoteInput) {
+    elements.highlightNoteInput.value = '';
+  }
+}
 
-    const paragraphs = processedText
-      .split(/\n{2,}/)
-      .map((chunk) => chunk.trim())
-      .filter(Boolean);
+function hideHighlightPopover() {
+  pendingHighlight = null;
+  if (!elements.highlightPopover) return;
+  elements.highlightPopover.classList.add('hidden');
+}
 
-    if (paragraphs.length === 0 && processedText.trim()) {
-      paragraphs.push(processedText.trim());
+function saveHighlightFromSelection() {
+  const pending = pendingHighlight;
+  if (!pending) return;
+  const note = (elements.highlightNoteInput?.value || '').trim().slice(0, MAX_NOTE_LENGTH);
+  updateItemHighlights(pending.itemTweetId, (highlights) => [
+    ...highlights,
+    {
+      id: `hl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      tweetId: pending.tweetId,
+      start: pending.start,
+      end: pending.end,
+      quote: pending.quote,
+      note,
+      createdAt: Date.now()
     }
+  ]);
+  hideHighlightPopover();
+  window.getSelection()?.removeAllRanges();
+}
 
-    paragraphs.forEach((chunk) => {
-      blocks.push({ type: 'text', text: chunk });
-    });
-
-    links.forEach((link) => {
-      const card = buildLinkCardData(link);
-      if (card) {
-        blocks.push({ type: 'link-card', link: card });
-      }
-    });
+function removeHighlight(itemTweetId, highlightId) {
+  updateItemHighlights(itemTweetId, (highlights) => highlights.filter((entry) => entry.id !== highlightId));
+}
 
-    const mediaItems = collectMedia(tweet);
-    if (Array.isArray(mediaItems) && mediaItems.length > 0) {
-      blocks.push({
-        type: 'media',
-        items: mediaItems.map((item) => ({ ...item }))
-      });
-    }
-  });
-  return blocks;
+function updateItemHighlights(itemTweetId, updater) {
+  const item = state.items.find((entry) => entry.tweetId === itemTweetId);
+  if (!item || item.isPending) return;
+  item.highlights = updater(Array.isArray(item.highlights) ? item.highlights : []);
+  item.updatedAt = Date.now();
+  persistItems([itemTweetId]);
+  queueSaveMutation(item);
+  reindexItem(itemTweetId);
+  renderDetail();
 }
 
 function createMediaGroup(mediaItems) {
@@ -1084,7 +3541,7 @@ function createSingleMediaCard(media, isNested = false) {
     video.className = 'h-full w-full rounded-lg';
     const src = selectVideoVariant(media);
     if (src) {
-      video.src = src;
+      setMediaSource(video, src);
     }
     if (media.type === 'animated_gif') {
       video.loop = true;
@@ -1103,7 +3560,7 @@ function createSingleMediaCard(media, isNested = false) {
       : 'overflow-hidden rounded-2xl border border-slate-200 bg-slate-50';
 
     const img = document.createElement('img');
-    img.src = media.media_url_https || media.media_url;
+    setMediaSource(img, media.media_url_https || media.media_url);
     img.alt = media.alt_text || media.ext_alt_text || 'Thread image';
     img.loading = 'lazy';
     img.className = 'h-full w-full object-cover';
@@ -1114,6 +3571,20 @@ function createSingleMediaCard(media, isNested = false) {
   return document.createDocumentFragment();
 }
 
+// Prefers the archived copy and falls back to the remote URL if the archive
+// can't serve it (e.g. the server's data directory was cleared).
+function setMediaSource(element, remoteUrl) {
+  const archivedUrl = archivedMedia.get(remoteUrl);
+  if (!archivedUrl) {
+    element.src = remoteUrl;
+    return;
+  }
+  element.addEventListener('error', () => {
+    if (element.src !== remoteUrl) element.src = remoteUrl;
+  }, { once: true });
+  element.src = archivedUrl;
+}
+
 function createLinkPreview(link) {
   const anchor = document.createElement('a');
   anchor.href = link.href || link.url;
@@ -1137,7 +3608,7 @@ function createLinkPreview(link) {
   }
 
   const imageWrapper = document.createElement('div');
-  imageWrapper.className = 'flex h-12 w-12 shrink-0 items-center justify-center rounded-lg border border-slate-200 bg-slate-50';
+  imageWrapper.className = 'flex h-12 w-12 shrink-0 items-center justify-center overflow-hidden rounded-lg border border-slate-200 bg-slate-50';
 
   if (link.favicon) {
     const img = document.createElement('img');
@@ -1154,125 +3625,59 @@ function createLinkPreview(link) {
   }
 
   anchor.append(imageWrapper, textColumn);
-  return anchor;
-}
-
-function extractLinksFromTweet(tweet = {}) {
-  const entities = tweet.entities || tweet.legacy?.entities || tweet.legacy?.extended_entities;
-  const urls = Array.isArray(entities?.urls) ? entities.urls : [];
-  const cardLinks = Array.isArray(tweet.cards) ? tweet.cards : [];
-  const results = [];
 
-  urls.forEach((entry) => {
-    if (!entry) return;
-    const expanded = entry.expanded_url || entry.expandedUrl || entry.unwound_url || entry.unwoundUrl || entry.url;
-    if (!expanded) return;
-    results.push({
-      url: entry.url || expanded,
-      expandedUrl: expanded,
-      displayUrl: entry.display_url || entry.displayUrl || simplifyUrl(expanded),
-      title: entry.title || entry.card_title || null
-    });
-  });
-
-  cardLinks.forEach((card) => {
-    if (!card || !card.url) return;
-    const expanded = card.url;
-    results.push({
-      url: card.url,
-      expandedUrl: expanded,
-      displayUrl: card.display_url || simplifyUrl(expanded),
-      title: card.title || card.name || null
-    });
+  requestLinkPreview(anchor.href).then((preview) => {
+    if (!preview) return;
+    if (preview.title) titleElement.textContent = preview.title;
+    if (preview.description) {
+      const description = document.createElement('p');
+      description.className = 'mt-1 line-clamp-2 text-xs font-light text-slate-600';
+      description.textContent = preview.description;
+      titleElement.after(description);
+    }
+    const imageUrl = preview.image || preview.favicon;
+    if (imageUrl) {
+      const img = document.createElement('img');
+      img.src = imageUrl;
+      img.alt = preview.title || link.title || 'Link preview';
+      img.loading = 'lazy';
+      img.className = preview.image ? 'h-full w-full object-cover' : 'h-8 w-8 rounded object-contain';
+      img.addEventListener('error', () => img.remove(), { once: true });
+      if (preview.image) {
+        imageWrapper.classList.replace('h-12', 'h-16');
+        imageWrapper.classList.replace('w-12', 'w-16');
+      }
+      imageWrapper.replaceChildren(img);
+    }
   });
 
-  return results;
-}
-
-function buildLinkCardData(link) {
-  try {
-    const raw = link.expandedUrl || link.url;
-    if (!raw) return null;
-    const url = new URL(raw.startsWith('http') ? raw : `https://${raw}`);
-    const domain = url.hostname.replace(/^www\./i, '');
-    const title = link.title || domain;
-    const displayUrl = link.displayUrl || `${domain}${url.pathname !== '/' ? url.pathname : ''}`;
-    return {
-      href: url.href,
-      url: link.url,
-      title,
-      displayUrl,
-      domain,
-      domainInitial: domain?.[0]?.toUpperCase() || null,
-      favicon: getFaviconUrl(url)
-    };
-  } catch (error) {
-    return null;
-  }
-}
-
-function getFaviconUrl(url) {
-  if (!url) return null;
-  const origin = `${url.protocol}//${url.hostname}`;
-  return `${origin}/favicon.ico`;
-}
-
-function simplifyUrl(value = '') {
-  return value.replace(/^https?:\/\//i, '').replace(/\/$/, '');
-}
-
-function getTweetText(tweet) {
-  if (!tweet || typeof tweet !== 'object') return '';
-  const text = tweet.text
-    || tweet.full_text
-    || tweet.legacy?.full_text
-    || tweet.legacy?.text
-    || '';
-  return typeof text === 'string' ? text : '';
+  return anchor;
 }
 
-function buildThreadSequence(rootTweet, fetchedTweets = []) {
-  const entries = [];
-  const seen = new Set();
-  let sequence = 0;
-  const rootAuthorKeys = getAuthorKeys(rootTweet);
-
-  const pushTweet = (tweet, { allowAnyAuthor = false } = {}) => {
-    if (!tweet || typeof tweet !== 'object') return;
-    const id = getTweetId(tweet);
-    if (!id || seen.has(id)) return;
-    seen.add(id);
-
-    if (!allowAnyAuthor && rootAuthorKeys.size > 0) {
-      const authorKeys = getAuthorKeys(tweet);
-      const isSameAuthor = Array.from(authorKeys).some((key) => rootAuthorKeys.has(key));
-      if (!isSameAuthor) return;
-    }
+// Previews are memoized per page load; the server keeps the disk cache.
+// Failures resolve to null so the domain-only card stays in place.
+function requestLinkPreview(href) {
+  if (!href || !state.apiKey || !state.isOnline) return Promise.resolve(null);
+  if (linkPreviews.has(href)) return linkPreviews.get(href);
 
-    const timestamp = getTweetTimestamp(tweet);
-    entries.push({
-      tweet,
-      hasTimestamp: timestamp !== null,
-      timestamp: timestamp ?? 0,
-      sequence: sequence++
+  const request = fetch(ENDPOINTS.UNFURL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ apiKey: state.apiKey, url: href })
+  })
+    .then(async (response) => {
+      const data = await response.json().catch(() => ({}));
+      return response.ok ? data?.preview || null : null;
+    })
+    .catch((error) => {
+      console.warn('[unfurl] Unable to load link preview', error);
+      linkPreviews.delete(href);
+      return null;
     });
-  };
-
-  pushTweet(rootTweet, { allowAnyAuthor: true });
-  if (Array.isArray(fetchedTweets)) {
-    fetchedTweets.forEach((item) => pushTweet(item));
-  }
-
-  entries.sort((a, b) => {
-    if (a.hasTimestamp && b.hasTimestamp) {
-      return a.timestamp - b.timestamp;
-    }
-    if (a.hasTimestamp) return -1;
-    if (b.hasTimestamp) return 1;
-    return a.sequence - b.sequence;
-  });
-
-  return entries.map((entry) => entry.tweet);
+  linkPreviews.set(href, request);
+  return request;
 }
 
 function ensureThreadStatus(tweetId) {
@@ -1304,124 +3709,265 @@ function sanitizeThreadTweets(tweets = []) {
   return normalized;
 }
 
-function getTweetId(tweet) {
-  return tweet?.id || tweet?.tweet_id || tweet?.tweetId || tweet?.rest_id || null;
+function toggleEmptyState(visible) {
+  const hasItems = state.items.length > 0;
+  const hasVisibleItems = hasItems && visible.length > 0;
+  elements.emptyState.textContent = hasItems
+    ? 'No saved tweets match the current search or filters.'
+    : 'Your saved links will appear here.';
+  elements.emptyState.classList.toggle('hidden', hasVisibleItems);
+  elements.list.classList.toggle('hidden', !hasVisibleItems);
+  if (elements.listMeta) {
+    elements.listMeta.classList.toggle('hidden', !hasItems);
+  }
+  if (elements.searchBar) {
+    elements.searchBar.classList.toggle('hidden', !hasItems);
+  }
 }
 
-function getTweetTimestamp(tweet) {
-  const raw = tweet?.createdAt || tweet?.created_at || tweet?.legacy?.created_at;
-  if (!raw) return null;
-  const date = new Date(raw);
-  const value = date.getTime();
-  return Number.isNaN(value) ? null : value;
+function updateListMeta(visible) {
+  if (!elements.listMetaCount) return;
+  const count = state.items.length;
+  const label = count === 1 ? 'Article' : 'Articles';
+  elements.listMetaCount.textContent = hasActiveFilters()
+    ? `${visible.length} of ${count} ${label}`
+    : `${count} ${label}`;
 }
 
-function getAuthorKeys(tweet) {
-  const keys = new Set();
-  if (!tweet || typeof tweet !== 'object') return keys;
+// Single-key shortcuts only fire outside text fields and while no dialog
+// other than the detail view is open; Cmd/Ctrl-K works everywhere.
+function handleShortcutKey(event) {
+  if ((event.metaKey || event.ctrlKey) && !event.altKey && event.key.toLowerCase() === 'k') {
+    event.preventDefault();
+    if (elements.commandPalette?.classList.contains('hidden')) {
+      openCommandPalette();
+    } else {
+      closeCommandPalette();
+    }
+    return;
+  }
+  if (event.metaKey || event.ctrlKey || event.altKey || event.defaultPrevented) return;
+  if (isEditableTarget(event.target) || isBlockingDialogOpen()) return;
 
-  const addId = (value) => {
-    if (value === undefined || value === null) return;
-    const normalized = String(value).trim();
-    if (!normalized) return;
-    keys.add(`id:${normalized}`);
-  };
+  const detailOpen = !elements.detailModal.classList.contains('hidden');
+  switch (event.key) {
+    case 'j':
+    case 'k':
+      event.preventDefault();
+      moveListCursor(event.key === 'j' ? 1 : -1, { open: detailOpen });
+      break;
+    case 'Enter':
+    case 'o':
+      // Let focused buttons and links handle their own Enter.
+      if (detailOpen || !listCursorId || event.target?.closest?.('button, a')) return;
+      event.preventDefault();
+      selectItem(listCursorId);
+      break;
+    case 'd': {
+      const target = detailOpen ? state.activeTweetId : listCursorId;
+      if (!target) return;
+      event.preventDefault();
+      const visible = getVisibleItems();
+      const index = visible.findIndex((item) => item.tweetId === target);
+      const next = visible[index + 1] || visible[index - 1] || null;
+      listCursorId = next?.tweetId || null;
+      deleteWithUndo(target);
+      break;
+    }
+    case 'x':
+      if (detailOpen || !listCursorId) return;
+      event.preventDefault();
+      toggleSelection(listCursorId);
+      renderItems();
+      break;
+    case '/':
+      if (!elements.searchInput || elements.searchBar?.classList.contains('hidden')) return;
+      event.preventDefault();
+      if (detailOpen) closeDetailModal();
+      elements.searchInput.focus();
+      elements.searchInput.select();
+      break;
+    case '?':
+      event.preventDefault();
+      toggleShortcutsModal(true);
+      break;
+    default:
+      break;
+  }
+}
 
-  const addHandle = (value) => {
-    if (!value) return;
-    const normalized = String(value).trim().toLowerCase();
-    if (!normalized) return;
-    keys.add(`handle:${normalized}`);
-  };
+function isEditableTarget(target) {
+  if (!(target instanceof HTMLElement)) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
 
-  const author = tweet.author || tweet.user;
-  if (author) {
-    addId(author.id ?? author.rest_id ?? author.userId ?? author.user_id ?? author.id_str);
-    addHandle(author.userName ?? author.username ?? author.screen_name ?? author.handle);
-  }
+function isBlockingDialogOpen() {
+  return [
+    elements.modal,
+    elements.authModal,
+    elements.importModal,
+    elements.collectionModal,
+    elements.commandPalette,
+    elements.shortcutsModal
+  ].some((dialog) => dialog && !dialog.classList.contains('hidden'));
+}
 
-  if (tweet.legacy) {
-    addId(tweet.legacy.user_id_str);
-    addHandle(tweet.legacy.screen_name);
+function moveListCursor(step, { open = false } = {}) {
+  const visible = getVisibleItems().filter((item) => !item.isPending);
+  if (visible.length === 0) return;
+  const currentId = open ? state.activeTweetId : listCursorId;
+  const index = visible.findIndex((item) => item.tweetId === currentId);
+  const nextIndex = index === -1
+    ? (step > 0 ? 0 : visible.length - 1)
+    : Math.min(Math.max(index + step, 0), visible.length - 1);
+  listCursorId = visible[nextIndex].tweetId;
+
+  if (open) {
+    selectItem(listCursorId);
+  } else {
+    renderItems();
   }
+  elements.list
+    .querySelector(`[data-tweet-id="${CSS.escape(listCursorId)}"]`)
+    ?.scrollIntoView({ block: 'nearest' });
+}
 
-  const coreUser = tweet.core?.user_results?.result;
-  if (coreUser) {
-    addId(coreUser.rest_id);
-    addHandle(coreUser.legacy?.screen_name);
+function toggleShortcutsModal(open) {
+  if (!elements.shortcutsModal) return;
+  elements.shortcutsModal.classList.toggle('hidden', !open);
+  if (open) {
+    elements.shortcutsCloseButton?.focus();
   }
+}
 
-  const result = tweet.user_results?.result;
-  if (result) {
-    addId(result.rest_id);
-    addHandle(result.legacy?.screen_name);
-  }
+function getPaletteCommands() {
+  const signedIn = state.auth.status === 'signed-in';
+  const threadTarget = state.activeTweetId || listCursorId;
+  return [
+    { label: 'Save a tweet link', run: focusTweetInput },
+    { label: 'Import tweets…', run: openImportModal },
+    {
+      label: 'Refresh thread',
+      hint: threadTarget ? null : 'Select a tweet first',
+      enabled: Boolean(threadTarget && state.apiKey),
+      run: () => {
+        selectItem(threadTarget);
+        loadThread(threadTarget, { force: true });
+      }
+    },
+    {
+      label: state.showReplies ? 'Hide replies from others' : 'Show replies from others',
+      run: () => setShowReplies(!state.showReplies)
+    },
+    { label: 'Export library as JSON', run: () => exportLibrary('json') },
+    { label: 'Export library as CSV', run: () => exportLibrary('csv') },
+    { label: 'Export library as Markdown', run: () => exportLibrary('markdown') },
+    { label: 'Export current view as EPUB', run: () => exportLibrary('epub') },
+    {
+      label: 'Replace API key',
+      run: () => promptForApiKey({ allowCancel: true, presetKey: state.apiKey || '', message: 'Replace your twitterapi.io API key.' })
+    },
+    { label: `Archive media: turn ${state.archiveMedia ? 'off' : 'on'}`, run: () => setMediaArchiveEnabled(!state.archiveMedia) },
+    { label: 'Reset sort and filters', run: () => setListView({ ...DEFAULT_LIST_VIEW }) },
+    { label: 'Keyboard shortcuts', run: () => toggleShortcutsModal(true) },
+    { label: 'Sign out', enabled: signedIn, run: signOutUser }
+  ].filter((command) => command.enabled !== false || command.hint);
+}
 
-  return keys;
+function openCommandPalette() {
+  if (!elements.commandPalette || !elements.commandPaletteInput) return;
+  hideProfileMenu();
+  closeContextMenu();
+  toggleShortcutsModal(false);
+  paletteState = { query: '', index: 0, returnFocus: document.activeElement };
+  elements.commandPaletteInput.value = '';
+  elements.commandPalette.classList.remove('hidden');
+  renderCommandPalette();
+  elements.commandPaletteInput.focus();
 }
 
-function collectMedia(tweet = {}) {
-  const collected = [];
-  const seen = new Set();
-  const sources = [
-    tweet.extendedEntities?.media,
-    tweet.extended_entities?.media,
-    tweet.entities?.media,
-    tweet.legacy?.extended_entities?.media,
-    tweet.legacy?.extendedEntities?.media,
-    tweet.legacy?.entities?.media
-  ];
+function closeCommandPalette({ restoreFocus = true } = {}) {
+  if (!elements.commandPalette || elements.commandPalette.classList.contains('hidden')) return;
+  elements.commandPalette.classList.add('hidden');
+  const returnFocus = paletteState?.returnFocus;
+  paletteState = null;
+  if (restoreFocus && returnFocus instanceof HTMLElement && document.contains(returnFocus)) {
+    returnFocus.focus();
+  }
+}
 
-  sources.forEach((mediaList) => {
-    if (!Array.isArray(mediaList)) return;
-    mediaList.forEach((item) => {
-      if (!item || typeof item !== 'object') return;
-      const key = item.id || item.media_key || item.mediaKey || item.media_url_https || item.media_url;
-      if (key && seen.has(key)) return;
-      if (key) seen.add(key);
-      collected.push(item);
-    });
+function getMatchingCommands() {
+  const words = (paletteState?.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return getPaletteCommands().filter((command) => {
+    const label = command.label.toLowerCase();
+    return words.every((word) => label.includes(word));
   });
-
-  return collected;
 }
 
-function selectVideoVariant(media) {
-  const candidateSets = [
-    media.video_info?.variants,
-    media.videoInfo?.variants,
-    media.legacy?.video_info?.variants,
-    media.videoVariants,
-    media.variants,
-    media.ext?.variants
-  ].filter(Boolean);
+function renderCommandPalette() {
+  if (!paletteState || !elements.commandPaletteList) return;
+  const commands = getMatchingCommands();
+  paletteState.index = Math.min(paletteState.index, Math.max(commands.length - 1, 0));
+  elements.commandPaletteList.innerHTML = '';
+
+  if (commands.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'px-6 py-3 text-sm font-light text-slate-500';
+    empty.textContent = 'No matching commands.';
+    elements.commandPaletteList.append(empty);
+    return;
+  }
 
-  const variants = [];
-  candidateSets.forEach((set) => {
-    if (Array.isArray(set)) {
-      variants.push(...set);
+  commands.forEach((command, index) => {
+    const option = document.createElement('li');
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', String(index === paletteState.index));
+    option.className = [
+      'flex cursor-pointer items-center justify-between gap-3 px-6 py-2 text-sm font-light',
+      command.enabled === false ? 'text-slate-400' : 'text-[#1B1D1F]',
+      index === paletteState.index ? 'bg-slate-100' : ''
+    ].join(' ');
+    option.textContent = command.label;
+    if (command.hint) {
+      const hint = document.createElement('span');
+      hint.className = 'text-xs text-slate-400';
+      hint.textContent = command.hint;
+      option.append(hint);
     }
+    option.addEventListener('mousemove', () => {
+      if (paletteState && paletteState.index !== index) {
+        paletteState.index = index;
+        renderCommandPalette();
+      }
+    });
+    option.addEventListener('click', () => runPaletteCommand(command));
+    elements.commandPaletteList.append(option);
   });
-  const mp4 = variants
-    .filter((variant) => variant.content_type?.includes('mp4') && variant.url)
-    .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
-  return mp4[0]?.url || variants[0]?.url || null;
 }
 
-function toggleEmptyState() {
-  const hasItems = state.items.length > 0;
-  elements.emptyState.classList.toggle('hidden', hasItems);
-  elements.list.classList.toggle('hidden', !hasItems);
-  if (elements.listMeta) {
-    elements.listMeta.classList.toggle('hidden', !hasItems);
+function handlePaletteKey(event) {
+  if (!paletteState) return;
+  const commands = getMatchingCommands();
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (commands.length === 0) return;
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    paletteState.index = (paletteState.index + step + commands.length) % commands.length;
+    renderCommandPalette();
+    elements.commandPaletteList
+      .querySelector('[aria-selected="true"]')
+      ?.scrollIntoView({ block: 'nearest' });
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    const command = commands[paletteState.index];
+    if (command) runPaletteCommand(command);
   }
 }
 
-function updateListMeta() {
-  if (!elements.listMetaCount) return;
-  const count = state.items.length;
-  const label = count === 1 ? 'Article' : 'Articles';
-  elements.listMetaCount.textContent = `${count} ${label}`;
+function runPaletteCommand(command) {
+  if (command.enabled === false) return;
+  closeCommandPalette({ restoreFocus: false });
+  command.run();
 }
 
 function focusTweetInput() {
@@ -1480,11 +4026,13 @@ function promptForApiKey({ allowCancel = false, presetKey = '', message = '' } =
   state.keyPromptPending = false;
 }
 
-function showUndoToast({ item, index, thread }) {
+// `results` come from deleteItems() in deletion order; each index was
+// taken after the previous deletions, so undo restores them in reverse.
+function showUndoToast(results) {
   if (!elements.toast || !elements.toastMessage) return;
   hideToast();
-  undoState = { item, index, thread };
-  elements.toastMessage.textContent = 'Tweet deleted';
+  undoState = { entries: results };
+  elements.toastMessage.textContent = results.length === 1 ? 'Tweet deleted' : `${results.length} tweets deleted`;
   elements.toast.classList.remove('hidden');
   toastTimer = setTimeout(() => {
     hideToast();
@@ -1506,14 +4054,30 @@ function undoDelete() {
     hideToast();
     return;
   }
-  const { item, index, thread } = undoState;
-  const insertIndex = typeof index === 'number' ? Math.min(index, state.items.length) : 0;
-  state.items.splice(insertIndex, 0, item);
+  let skipped = 0;
+  undoState.entries.slice().reverse().forEach(({ item, index, thread }) => {
+    if (isDeletedRemotely(item.tweetId)) {
+      skipped += 1;
+      return;
+    }
+    item.updatedAt = Date.now();
+    const insertIndex = typeof index === 'number' ? Math.min(index, state.items.length) : 0;
+    state.items.splice(insertIndex, 0, item);
+    queueSaveMutation(item);
+    if (thread) {
+      state.threads[item.tweetId] = thread;
+      state.threadStatus[item.tweetId] = { loading: false, error: null };
+    }
+    reindexItem(item.tweetId);
+    persistMediaMetadata(item.tweetId);
+  });
   persistItems();
-  if (thread) {
-    state.threads[item.tweetId] = thread;
-    state.threadStatus[item.tweetId] = { loading: false, error: null };
-    persistThreads();
+  persistThreads();
+  if (skipped > 0) {
+    showMessage(
+      skipped === 1 ? 'That tweet was deleted on another device.' : `${skipped} tweets were deleted on another device.`,
+      'info'
+    );
   }
   renderItems();
   renderDetail();
@@ -1716,6 +4280,7 @@ async function authenticateKey(key, { skipRemoteStore = false } = {}) {
     state.credits = typeof data?.credits === 'number' ? data.credits : null;
     persistApiKey(key);
     updateKeyStatus('success');
+    replayOfflineSaves();
     if (!skipRemoteStore && state.auth.status === 'signed-in') {
       storeRemoteApiKey(key).catch((error) => {
         console.warn('[sync] Failed to persist API key remotely', error);
@@ -1724,6 +4289,7 @@ async function authenticateKey(key, { skipRemoteStore = false } = {}) {
   } finally {
     setAuthenticating(false);
     updateSaveButtonState();
+    runPendingQuickSave();
   }
 }
 
@@ -1807,7 +4373,30 @@ async function fetchTweet(tweetId) {
     throw new Error('Tweet not found.');
   }
 
-  return data.tweet;
+  return { tweet: data.tweet, fromCache: data?.cache?.hit === true };
+}
+
+async function fetchTweetsBatch(tweetIds) {
+  const response = await fetch(ENDPOINTS.TWEET_BATCH, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ apiKey: state.apiKey, tweetIds })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const message = data?.message || `Unable to fetch tweets (status ${response.status}).`;
+    throw new Error(message);
+  }
+
+  const results = new Map();
+  (Array.isArray(data?.results) ? data.results : []).forEach((entry) => {
+    if (entry?.tweetId) results.set(entry.tweetId, entry);
+  });
+  return results;
 }
 
 async function loadThread(tweetId, { force = false } = {}) {
@@ -1819,41 +4408,42 @@ async function loadThread(tweetId, { force = false } = {}) {
   }
 
   const status = ensureThreadStatus(tweetId);
-  if (status.loading) {
+  if (status.loading || status.loadingMore) {
     return null;
   }
 
-  updateThreadStatus(tweetId, { loading: true, error: null });
+  updateThreadStatus(tweetId, { loading: true, error: null, loadMoreError: null });
   renderDetail();
 
   try {
-    const response = await fetch(ENDPOINTS.THREAD, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ apiKey: state.apiKey, tweetId })
-    });
-
-    const data = await response.json().catch(() => ({}));
-
-    if (!response.ok) {
-      const message = data?.message || 'Unable to load thread.';
-      throw new Error(message);
-    }
+    const data = await requestThreadPages(tweetId, { force });
 
     if (!Array.isArray(data?.tweets) || data.tweets.length === 0) {
       throw new Error('Thread data unavailable.');
     }
 
-    const sanitized = sanitizeThreadTweets(data.tweets);
+    // A refresh merges into what's cached, so pages loaded past the first
+    // batch and the unread new-post count survive it.
+    const current = state.threads[tweetId];
+    const item = state.items.find((entry) => entry.tweetId === tweetId);
+    const merged = sanitizeThreadTweets([...(current?.tweets || []), ...data.tweets]);
+    let added = 0;
+    if (current && item) {
+      const knownIds = new Set(buildThreadSequence(item.tweet, current.tweets).map(getTweetId));
+      added = buildThreadSequence(item.tweet, merged).filter((tweet) => !knownIds.has(getTweetId(tweet))).length;
+    }
     state.threads[tweetId] = {
-      tweets: sanitized,
+      tweets: merged,
       fetchedAt: typeof data?.fetchedAt === 'number' ? data.fetchedAt : Date.now(),
-      rootTweetId: data?.rootTweetId || tweetId
+      rootTweetId: data?.rootTweetId || tweetId,
+      nextCursor: data?.hasNextPage && data?.nextCursor ? data.nextCursor : null,
+      newPosts: state.activeTweetId === tweetId ? 0 : (current?.newPosts || 0) + added
     };
-    updateThreadStatus(tweetId, { loading: false, error: null });
+    updateThreadStatus(tweetId, { loading: false, error: null, fromCache: data?.cache?.hit === true });
+    markThreadChecked(tweetId);
     persistThreads();
+    persistMediaMetadata(tweetId);
+    reindexItem(tweetId);
     return state.threads[tweetId];
   } catch (error) {
     console.error('Failed to load thread', error);
@@ -1864,6 +4454,221 @@ async function loadThread(tweetId, { force = false } = {}) {
   }
 }
 
+// Continues a truncated thread from its stored cursor and appends the new
+// pages to what we already have.
+async function loadMoreThread(tweetId) {
+  const cached = state.threads[tweetId];
+  if (!tweetId || !state.apiKey || !cached?.nextCursor) return null;
+
+  const status = ensureThreadStatus(tweetId);
+  if (status.loading || status.loadingMore) {
+    return null;
+  }
+
+  updateThreadStatus(tweetId, { loadingMore: true, loadMoreError: null });
+  renderDetail();
+
+  try {
+    const data = await requestThreadPages(tweetId, { cursor: cached.nextCursor });
+    const current = state.threads[tweetId] || cached;
+    const incoming = Array.isArray(data?.tweets) ? data.tweets : [];
+    state.threads[tweetId] = {
+      ...current,
+      tweets: sanitizeThreadTweets([...(current.tweets || []), ...incoming]),
+      nextCursor: data?.hasNextPage && data?.nextCursor && data.nextCursor !== cached.nextCursor
+        ? data.nextCursor
+        : null
+    };
+    updateThreadStatus(tweetId, { loadingMore: false, loadMoreError: null });
+    persistThreads();
+    persistMediaMetadata(tweetId);
+    reindexItem(tweetId);
+    return state.threads[tweetId];
+  } catch (error) {
+    console.error('Failed to load more of thread', error);
+    updateThreadStatus(tweetId, { loadingMore: false, loadMoreError: error.message || 'Unable to load more of this thread.' });
+    return null;
+  } finally {
+    renderDetail();
+  }
+}
+
+function listRefreshableThreads() {
+  return state.items
+    .filter((item) => !item.isPending && state.threads[item.tweetId])
+    .map((item) => ({
+      tweetId: item.tweetId,
+      createdAt: getTweetTimestamp(item.tweet) ?? item.savedAt ?? null
+    }));
+}
+
+// Checks a cached thread for posts by the author that weren't there before.
+// Each check costs one page: the next page after the stored cursor when the
+// thread was truncated, otherwise the first page again. The count stays on
+// the thread until the item is opened.
+async function refreshThreadInBackground(tweetId) {
+  const item = state.items.find((entry) => entry.tweetId === tweetId);
+  const cached = state.threads[tweetId];
+  if (!item || !cached || !state.apiKey) return;
+
+  const status = ensureThreadStatus(tweetId);
+  if (status.loading || status.loadingMore) return;
+
+  const cursor = cached.nextCursor || '';
+  const data = await requestThreadPages(tweetId, { cursor, pages: 1 });
+  const incoming = Array.isArray(data?.tweets) ? data.tweets : [];
+  const current = state.threads[tweetId];
+  if (!current) return;
+  const pageCursor = data?.hasNextPage && data?.nextCursor ? data.nextCursor : null;
+
+  const knownIds = new Set(buildThreadSequence(item.tweet, current.tweets).map(getTweetId));
+  const merged = sanitizeThreadTweets([...(current.tweets || []), ...incoming]);
+  const added = buildThreadSequence(item.tweet, merged)
+    .filter((tweet) => !knownIds.has(getTweetId(tweet)))
+    .length;
+
+  state.threads[tweetId] = {
+    ...current,
+    tweets: merged,
+    fetchedAt: typeof data?.fetchedAt === 'number' ? data.fetchedAt : Date.now(),
+    nextCursor: cursor && current.nextCursor === cursor && pageCursor !== cursor
+      ? pageCursor
+      : current.nextCursor,
+    newPosts: state.activeTweetId === tweetId ? 0 : (current.newPosts || 0) + added
+  };
+  persistThreads();
+
+  if (added > 0) {
+    persistMediaMetadata(tweetId);
+    reindexItem(tweetId);
+    renderItems({ keepContextMenu: true });
+    if (state.activeTweetId === tweetId) {
+      renderDetail();
+    }
+  }
+}
+
+async function requestThreadPages(tweetId, { force = false, cursor = '', pages } = {}) {
+  const response = await fetch(ENDPOINTS.THREAD, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ apiKey: state.apiKey, tweetId, cursor, force, pages })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const message = data?.message || 'Unable to load thread.';
+    throw new Error(message);
+  }
+
+  return data;
+}
+
+async function refreshUsage() {
+  if (!state.apiKey) {
+    state.usage = null;
+    renderUsage();
+    return;
+  }
+
+  try {
+    const response = await fetch(ENDPOINTS.USAGE, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ apiKey: state.apiKey, days: USAGE_CHART_DAYS })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data?.message || 'Unable to load usage.');
+    }
+
+    state.usage = data;
+    renderUsage();
+  } catch (error) {
+    console.warn('[usage] Failed to load usage', error);
+    renderUsage(error.message || 'Unable to load usage.');
+  }
+}
+
+async function saveUsageBudget() {
+  if (!state.apiKey || !elements.usageDailyInput || !elements.usageMonthlyInput) return;
+
+  const daily = elements.usageDailyInput.value.trim();
+  const monthly = elements.usageMonthlyInput.value.trim();
+
+  try {
+    const response = await fetch(ENDPOINTS.USAGE_BUDGET, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        apiKey: state.apiKey,
+        daily: daily ? Number(daily) : null,
+        monthly: monthly ? Number(monthly) : null
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data?.message || 'Unable to save budget.');
+    }
+
+    await refreshUsage();
+    renderUsage('Budget saved.');
+  } catch (error) {
+    renderUsage(error.message || 'Unable to save budget.');
+  }
+}
+
+function renderUsage(message = '') {
+  if (!elements.profileUsage) return;
+  const usage = state.usage;
+  elements.profileUsage.classList.toggle('hidden', !state.apiKey);
+  if (elements.usageMessage) {
+    elements.usageMessage.textContent = message;
+  }
+  if (!usage) return;
+
+  const { daily, monthly } = usage.budget || {};
+  if (elements.usageSummary) {
+    const todayLabel = daily ? `${usage.today}/${daily} today` : `${usage.today} today`;
+    const monthLabel = monthly ? `${usage.month}/${monthly} this month` : `${usage.month} this month`;
+    elements.usageSummary.textContent = `${todayLabel} · ${monthLabel}`;
+  }
+
+  if (elements.usageDailyInput && document.activeElement !== elements.usageDailyInput) {
+    elements.usageDailyInput.value = daily ?? '';
+  }
+  if (elements.usageMonthlyInput && document.activeElement !== elements.usageMonthlyInput) {
+    elements.usageMonthlyInput.value = monthly ?? '';
+  }
+
+  if (!elements.usageChart) return;
+  const history = Array.isArray(usage.history) ? usage.history : [];
+  const peak = Math.max(1, daily || 0, ...history.map((day) => day.calls));
+  elements.usageChart.innerHTML = '';
+  history.forEach((day) => {
+    const bar = document.createElement('div');
+    const overBudget = daily && day.calls >= daily;
+    bar.className = `flex-1 rounded-sm ${overBudget ? 'bg-rose-400' : day.calls > 0 ? 'bg-slate-400' : 'bg-slate-100'}`;
+    bar.style.height = `${Math.max(6, Math.round((day.calls / peak) * 100))}%`;
+    const breakdown = Object.entries(day.byEndpoint || {})
+      .map(([endpoint, calls]) => `${endpoint}: ${calls}`)
+      .join('\n');
+    bar.title = `${day.date} · ${day.calls} ${day.calls === 1 ? 'request' : 'requests'}${breakdown ? `\n${breakdown}` : ''}`;
+    elements.usageChart.append(bar);
+  });
+}
+
 function updateKeyStatus() {
   if (!elements.creditsBadge) return;
   if (!state.apiKey) {
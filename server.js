@@ -2,6 +2,12 @@
 
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const crypto = require('crypto');
 const express = require('express');
 const dotenv = require('dotenv');
@@ -18,6 +24,32 @@ const PORT = process.env.PORT || 4000;
 const API_BASE_URL = 'https://api.twitterapi.io';
 const DATA_DIR = path.join(__dirname, 'data');
 const KEY_STORE_FILE = path.join(DATA_DIR, 'api-keys.json');
+const LIBRARY_STORE_FILE = path.join(DATA_DIR, 'libraries.json');
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const USAGE_STORE_FILE = path.join(DATA_DIR, 'usage.json');
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const MEDIA_HOSTS = new Set(['pbs.twimg.com', 'video.twimg.com']);
+const MAX_MEDIA_BYTES = Number(process.env.MAX_MEDIA_MB || 200) * 1024 * 1024;
+const MEDIA_ARCHIVE_MAX_BYTES = Number(process.env.MEDIA_ARCHIVE_MAX_MB || 5 * 1024) * 1024 * 1024;
+const VERIFIED_KEY_TTL_MS = 10 * 60 * 1000;
+const MAX_ARCHIVE_URLS = 40;
+const SHORT_LINK_MAX_HOPS = 3;
+const COLLECTION_MAX_PAGES = 3;
+const UNFURL_CACHE_TTL_MS = Number(process.env.UNFURL_CACHE_TTL_SECONDS || 7 * 24 * 60 * 60) * 1000;
+const UNFURL_ERROR_TTL_MS = 60 * 60 * 1000;
+const UNFURL_CACHE_MAX_ENTRIES = Number(process.env.UNFURL_CACHE_MAX_ENTRIES || 5000);
+const UNFURL_MAX_BYTES = 512 * 1024;
+const UNFURL_TIMEOUT_MS = 8_000;
+const UNFURL_MAX_REDIRECTS = 4;
+const UNFURL_ALLOW_PRIVATE_HOSTS = process.env.UNFURL_ALLOW_PRIVATE_HOSTS === 'true';
+const USAGE_RETENTION_DAYS = 62;
+const USAGE_SAVE_DELAY_MS = 2_000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TWEET_CACHE_TTL_MS = Number(process.env.TWEET_CACHE_TTL_SECONDS || 24 * 60 * 60) * 1000;
+const THREAD_CACHE_TTL_MS = Number(process.env.THREAD_CACHE_TTL_SECONDS || 30 * 60) * 1000;
+const MAX_MUTATIONS_PER_REQUEST = 50;
+const MAX_BATCH_TWEET_IDS = 200;
+const UPSTREAM_TWEET_CHUNK_SIZE = 50;
 
 const encryptionSecret = process.env.ENCRYPTION_SECRET || '';
 const encryptionKey = encryptionSecret
@@ -40,7 +72,32 @@ let firebaseInitError = null;
 
 initializeFirebaseAdmin();
 
-app.use(express.json({ limit: '100kb' }));
+// Export formats, item validation and the sync version ordering are the
+// client's own ES modules under services/, loaded once before the server
+// starts listening.
+let sharedModules = null;
+const sharedModulesReady = Promise.all([
+  import('./services/export.js'),
+  import('./services/library-item.js'),
+  import('./services/thread-blocks.js'),
+  import('./services/record-version.js')
+]).then((modules) => {
+  sharedModules = Object.assign({}, ...modules);
+}).catch((error) => {
+  console.error('Failed to load shared modules from services/', error);
+  process.exit(1);
+});
+
+// Mutation batches carry whole tweet payloads, so only the sync route gets a
+// larger body limit; everything else keeps Express's default.
+const SYNC_MUTATIONS_PATH = '/api/user/items/mutations';
+const parseJsonBody = express.json({ limit: '100kb' });
+const parseSyncBody = express.json({ limit: '2mb' });
+
+app.use((req, res, next) => {
+  if (req.path === SYNC_MUTATIONS_PATH) return next();
+  return parseJsonBody(req, res, next);
+});
 
 app.use((req, _res, next) => {
   console.log('[request]', req.method, req.path);
@@ -50,7 +107,7 @@ app.use((req, _res, next) => {
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization, X-Firebase-Token');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(204);
   }
@@ -74,7 +131,56 @@ function extractApiKey(req, res) {
   return key;
 }
 
+const verifiedKeys = new Map();
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function isVerifiedKeyHash(keyHash) {
+  return (verifiedKeys.get(keyHash) || 0) > Date.now();
+}
+
+function markKeyVerified(apiKey) {
+  verifiedKeys.set(hashApiKey(apiKey), Date.now() + VERIFIED_KEY_TTL_MS);
+}
+
+// For routes that can answer without calling twitterapi.io (disk caches,
+// media archiving, link previews), so the key has to be proven before the
+// server does work on its behalf. /oapi/my/info isn't metered; good keys are
+// remembered for a while.
+async function requireVerifiedApiKey(req, res) {
+  const apiKey = extractApiKey(req, res);
+  if (!apiKey) return null;
+
+  if (isVerifiedKeyHash(hashApiKey(apiKey))) return apiKey;
+
+  try {
+    const { response, payload } = await forwardRequest('/oapi/my/info', apiKey);
+    if (!response.ok) {
+      res.status(response.status === 401 || response.status === 403 ? 401 : 502).json({
+        message: payload?.message || 'Unable to verify API key.'
+      });
+      return null;
+    }
+  } catch (error) {
+    res.status(502).json({
+      message: error.name === 'AbortError' ? 'twitterapi.io verification timed out.' : 'Unable to verify API key.'
+    });
+    return null;
+  }
+
+  markKeyVerified(apiKey);
+  return apiKey;
+}
+
 async function forwardRequest(path, apiKey, fetchOptions = {}) {
+  const endpoint = path.split('?')[0];
+  const metered = !endpoint.startsWith('/oapi/');
+  if (metered) {
+    assertWithinBudget(apiKey);
+  }
+
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 10_000);
 
@@ -89,6 +195,9 @@ async function forwardRequest(path, apiKey, fetchOptions = {}) {
       signal: controller.signal
     });
 
+    if (metered) {
+      recordUsage(apiKey, endpoint, response.status);
+    }
     const payload = await response.json().catch(() => ({}));
     return { response, payload };
   } finally {
@@ -96,6 +205,145 @@ async function forwardRequest(path, apiKey, fetchOptions = {}) {
   }
 }
 
+let usageStoreCache = null;
+
+function loadUsageStore() {
+  if (usageStoreCache) return usageStoreCache;
+  try {
+    const raw = fs.readFileSync(USAGE_STORE_FILE, 'utf8');
+    usageStoreCache = JSON.parse(raw);
+  } catch (error) {
+    usageStoreCache = {};
+  }
+  return usageStoreCache;
+}
+
+let usageSaveTimer = null;
+let usageSaveChain = Promise.resolve();
+
+// Usage events arrive on every upstream call, so writes are batched off the
+// request path; budget changes flush straight away.
+function scheduleUsageSave() {
+  if (usageSaveTimer) return;
+  usageSaveTimer = setTimeout(() => {
+    usageSaveTimer = null;
+    saveUsageStore().catch((error) => {
+      console.warn('[usage] Unable to persist usage events', error);
+    });
+  }, USAGE_SAVE_DELAY_MS);
+  usageSaveTimer.unref();
+}
+
+function saveUsageStore() {
+  if (usageSaveTimer) {
+    clearTimeout(usageSaveTimer);
+    usageSaveTimer = null;
+  }
+  if (!usageStoreCache) return Promise.resolve();
+  pruneUsageStore(usageStoreCache);
+  const body = JSON.stringify(usageStoreCache);
+  const tempFile = `${USAGE_STORE_FILE}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  usageSaveChain = usageSaveChain.catch(() => {}).then(async () => {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    await fs.promises.writeFile(tempFile, body);
+    await fs.promises.rename(tempFile, USAGE_STORE_FILE);
+  });
+  return usageSaveChain;
+}
+
+// Drops events past the retention window and records left with neither
+// events nor a budget.
+function pruneUsageStore(store) {
+  const cutoff = Date.now() - USAGE_RETENTION_DAYS * DAY_MS;
+  Object.entries(store).forEach(([keyHash, record]) => {
+    const events = Array.isArray(record?.events) ? record.events.filter((event) => event?.at >= cutoff) : [];
+    const hasBudget = typeof record?.budget?.daily === 'number' || typeof record?.budget?.monthly === 'number';
+    if (events.length === 0 && !hasBudget) {
+      delete store[keyHash];
+    } else {
+      record.events = events;
+    }
+  });
+}
+
+// Usage is keyed by a hash so the raw API key never lands on disk. Records
+// are only stored for keys that passed requireVerifiedApiKey, so made-up
+// keys read as an empty record instead of growing the file.
+function getUsageRecord(apiKey) {
+  const store = loadUsageStore();
+  const keyHash = hashApiKey(apiKey);
+  const record = store[keyHash] && typeof store[keyHash] === 'object'
+    ? store[keyHash]
+    : { events: [], budget: { daily: null, monthly: null } };
+  if (!Array.isArray(record.events)) record.events = [];
+  if (!record.budget || typeof record.budget !== 'object') record.budget = { daily: null, monthly: null };
+  if (!store[keyHash] && isVerifiedKeyHash(keyHash)) {
+    store[keyHash] = record;
+  }
+  return record;
+}
+
+function recordUsage(apiKey, endpoint, status) {
+  const record = getUsageRecord(apiKey);
+  const now = Date.now();
+  const cutoff = now - USAGE_RETENTION_DAYS * DAY_MS;
+  record.events = record.events.filter((event) => event.at >= cutoff);
+  record.events.push({ endpoint, status, at: now });
+  scheduleUsageSave();
+}
+
+function getPeriodStart(period, now = new Date()) {
+  if (period === 'month') {
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  }
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+function countCallsSince(record, since) {
+  return record.events.reduce((total, event) => (event.at >= since ? total + 1 : total), 0);
+}
+
+function assertWithinBudget(apiKey) {
+  const record = getUsageRecord(apiKey);
+  const { daily, monthly } = record.budget;
+  const checks = [
+    { limit: daily, since: getPeriodStart('day'), label: 'Daily' },
+    { limit: monthly, since: getPeriodStart('month'), label: 'Monthly' }
+  ];
+  checks.forEach(({ limit, since, label }) => {
+    if (typeof limit !== 'number' || limit <= 0) return;
+    if (countCallsSince(record, since) >= limit) {
+      const error = new Error(`${label} budget of ${limit} twitterapi.io requests reached.`);
+      error.code = 'BUDGET_EXCEEDED';
+      throw error;
+    }
+  });
+}
+
+function summarizeUsage(record, days = 30) {
+  const todayStart = getPeriodStart('day');
+  const history = [];
+  for (let offset = days - 1; offset >= 0; offset -= 1) {
+    const start = todayStart - offset * DAY_MS;
+    history.push({ date: new Date(start).toISOString().slice(0, 10), start, calls: 0, byEndpoint: {} });
+  }
+  const firstStart = history[0].start;
+  record.events.forEach((event) => {
+    if (event.at < firstStart) return;
+    const bucket = history[Math.floor((event.at - firstStart) / DAY_MS)];
+    if (!bucket) return;
+    bucket.calls += 1;
+    bucket.byEndpoint[event.endpoint] = (bucket.byEndpoint[event.endpoint] || 0) + 1;
+  });
+
+  return {
+    budget: record.budget,
+    today: countCallsSince(record, todayStart),
+    month: countCallsSince(record, getPeriodStart('month')),
+    history: history.map(({ start, ...entry }) => entry)
+  };
+}
+
 function initializeFirebaseAdmin() {
   if (firebaseApp || firebaseInitError) return;
 
@@ -132,6 +380,533 @@ function ensureDataDir() {
   }
 }
 
+function getCacheFile(kind, key) {
+  const safeKey = /^[\w-]+$/.test(key)
+    ? key
+    : crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(CACHE_DIR, kind, `${safeKey}.json`);
+}
+
+function readCacheEntry(kind, key, ttlMs) {
+  try {
+    const raw = fs.readFileSync(getCacheFile(kind, key), 'utf8');
+    const entry = JSON.parse(raw);
+    if (!entry || typeof entry.storedAt !== 'number') return null;
+    if (Date.now() - entry.storedAt > ttlMs) return null;
+    return entry;
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeCacheEntry(kind, key, payload) {
+  const file = getCacheFile(kind, key);
+  const entry = { storedAt: Date.now(), payload };
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(entry));
+  } catch (error) {
+    console.warn('[cache] Unable to write cache entry', kind, key, error);
+  }
+  return entry;
+}
+
+function getThreadPageCacheKey(tweetId, cursor) {
+  return cursor ? `${tweetId}-${crypto.createHash('sha1').update(cursor).digest('hex')}` : tweetId;
+}
+
+// Archived media is stored as <sha1(url)> plus a JSON sidecar with the
+// content type, so files can be served back without touching twimg.com.
+function getMediaId(url) {
+  return crypto.createHash('sha1').update(url).digest('hex');
+}
+
+function getMediaFiles(mediaId) {
+  return {
+    file: path.join(MEDIA_DIR, mediaId),
+    meta: path.join(MEDIA_DIR, `${mediaId}.json`)
+  };
+}
+
+function readMediaMeta(mediaId) {
+  try {
+    return JSON.parse(fs.readFileSync(getMediaFiles(mediaId).meta, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseMediaUrl(value) {
+  if (typeof value !== 'string') return null;
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'https:' || !MEDIA_HOSTS.has(url.hostname)) return null;
+    return url;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Bytes on disk under MEDIA_DIR, counted once from the media files
+// themselves and then kept up to date as downloads stream in, so concurrent
+// downloads share the MEDIA_ARCHIVE_MAX_BYTES quota. Temp files left by an
+// interrupted run are removed while counting; nothing is downloading yet.
+let mediaArchiveBytes = null;
+const mediaDownloads = new Map();
+
+function getMediaArchiveBytes() {
+  if (mediaArchiveBytes !== null) return mediaArchiveBytes;
+  mediaArchiveBytes = 0;
+  try {
+    fs.readdirSync(MEDIA_DIR).forEach((name) => {
+      const file = path.join(MEDIA_DIR, name);
+      if (name.endsWith('.tmp')) {
+        fs.rmSync(file, { force: true });
+      } else if (!name.endsWith('.json')) {
+        mediaArchiveBytes += fs.statSync(file).size;
+      }
+    });
+  } catch (error) {
+    // No archive yet.
+  }
+  return mediaArchiveBytes;
+}
+
+// Two requests for the same URL share one download instead of racing on the
+// same files.
+function archiveMediaUrl(url) {
+  const mediaId = getMediaId(url.href);
+  if (!mediaDownloads.has(mediaId)) {
+    mediaDownloads.set(mediaId, downloadMedia(url, mediaId).finally(() => mediaDownloads.delete(mediaId)));
+  }
+  return mediaDownloads.get(mediaId);
+}
+
+async function downloadMedia(url, mediaId) {
+  const files = getMediaFiles(mediaId);
+  const existing = readMediaMeta(mediaId);
+  if (existing && fs.existsSync(files.file)) {
+    return { status: 'exists', mediaId };
+  }
+  if (getMediaArchiveBytes() >= MEDIA_ARCHIVE_MAX_BYTES) {
+    return { status: 'error', message: 'The media archive is full.' };
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 60_000);
+  const tempFile = `${files.file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  let size = 0;
+
+  try {
+    const response = await fetch(url.href, { signal: controller.signal });
+    if (!response.ok || !response.body) {
+      return { status: 'error', message: `Media request failed (status ${response.status}).` };
+    }
+
+    const contentType = response.headers.get('content-type') || 'application/octet-stream';
+    if (!/^(image|video)\//.test(contentType)) {
+      return { status: 'error', message: 'Unsupported media type.' };
+    }
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > MAX_MEDIA_BYTES) {
+      return { status: 'error', message: 'Media file is too large to archive.' };
+    }
+    if (declaredLength > 0 && getMediaArchiveBytes() + declaredLength > MEDIA_ARCHIVE_MAX_BYTES) {
+      return { status: 'error', message: 'The media archive is full.' };
+    }
+
+    const limiter = new Transform({
+      transform(chunk, _encoding, callback) {
+        if (size + chunk.length > MAX_MEDIA_BYTES || mediaArchiveBytes + chunk.length > MEDIA_ARCHIVE_MAX_BYTES) {
+          const error = new Error(size + chunk.length > MAX_MEDIA_BYTES
+            ? 'Media file is too large to archive.'
+            : 'The media archive is full.');
+          error.code = 'MEDIA_TOO_LARGE';
+          callback(error);
+          return;
+        }
+        size += chunk.length;
+        mediaArchiveBytes += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    await pipeline(Readable.fromWeb(response.body), limiter, fs.createWriteStream(tempFile));
+    // The sidecar goes first: a media file only appears once its metadata
+    // exists, and a sidecar without its file just reads as not archived.
+    fs.writeFileSync(files.meta, JSON.stringify({
+      url: url.href,
+      contentType,
+      size,
+      archivedAt: Date.now()
+    }));
+    fs.renameSync(tempFile, files.file);
+    return { status: 'archived', mediaId };
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    mediaArchiveBytes -= size;
+    const message = error.code === 'MEDIA_TOO_LARGE'
+      ? error.message
+      : error.name === 'AbortError'
+        ? 'Media download timed out.'
+        : 'Unable to archive media.';
+    return { status: 'error', message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Walks up to COLLECTION_MAX_PAGES of a paginated timeline route and
+// returns the tweets plus the cursor to continue from.
+async function fetchCollectionPages(routePath, params, apiKey, cursor = '') {
+  const seenIds = new Set();
+  const tweets = [];
+  let nextCursor = typeof cursor === 'string' ? cursor : '';
+  let hasNextPage = false;
+  let pages = 0;
+
+  do {
+    const url = new URL(routePath, API_BASE_URL);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    if (nextCursor) {
+      url.searchParams.set('cursor', nextCursor);
+    }
+
+    const { response, payload } = await forwardRequest(url.pathname + url.search, apiKey);
+    if (!response.ok || payload?.status === 'error') {
+      const error = new Error(payload?.message || payload?.msg || 'Unable to load posts.');
+      error.status = response.ok ? 502 : response.status;
+      throw error;
+    }
+
+    const pageTweets = Array.isArray(payload?.tweets)
+      ? payload.tweets
+      : Array.isArray(payload?.data?.tweets)
+        ? payload.data.tweets
+        : [];
+    pageTweets.forEach((entry) => {
+      const entryId = entry?.id || entry?.tweet_id || entry?.tweetId;
+      if (!entryId || seenIds.has(entryId)) return;
+      seenIds.add(entryId);
+      tweets.push(entry);
+    });
+
+    hasNextPage = Boolean(payload?.has_next_page ?? payload?.hasNextPage ?? payload?.data?.has_next_page);
+    nextCursor = payload?.next_cursor ?? payload?.nextCursor ?? payload?.data?.next_cursor ?? '';
+    pages += 1;
+  } while (hasNextPage && nextCursor && pages < COLLECTION_MAX_PAGES);
+
+  return {
+    tweets,
+    hasNextPage: hasNextPage && !!nextCursor,
+    nextCursor: hasNextPage && nextCursor ? nextCursor : null
+  };
+}
+
+function sendCollectionError(res, error, fallback) {
+  if (error.code === 'BUDGET_EXCEEDED') {
+    return res.status(429).json({ message: error.message });
+  }
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  const message = error.name === 'AbortError'
+    ? 'twitterapi.io request timed out.'
+    : fallback;
+  return res.status(502).json({ message });
+}
+
+// Link previews fetch arbitrary user-supplied URLs, so every connection is
+// checked against the resolved address (not just the hostname) to keep
+// redirects and DNS rebinding from reaching internal services. Set
+// UNFURL_ALLOW_PRIVATE_HOSTS=true only to test against a local fixture server.
+function isPrivateAddress(address) {
+  const value = String(address || '').toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIPv4(value)) {
+    const [a, b, c] = value.split('.').map(Number);
+    return a === 0
+      || a === 10
+      || a === 127
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 192 && b === 0 && (c === 0 || c === 2))
+      || (a === 198 && (b === 18 || b === 19))
+      || (a === 198 && b === 51 && c === 100)
+      || (a === 203 && b === 0 && c === 113)
+      || a >= 224;
+  }
+  if (net.isIPv6(value)) {
+    const mapped = value.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return value === '::'
+      || value === '::1'
+      || value.startsWith('::ffff:')
+      || /^f[cd]/.test(value)
+      || /^fe[89ab]/.test(value)
+      || value.startsWith('ff')
+      || value.startsWith('2001:db8:');
+  }
+  return true;
+}
+
+function createBlockedError(message = 'That link points to a private address.') {
+  const error = new Error(message);
+  error.code = 'UNFURL_BLOCKED';
+  return error;
+}
+
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(createBlockedError());
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function assertFetchableUrl(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw createBlockedError('Only http and https links can be previewed.');
+  }
+  if (UNFURL_ALLOW_PRIVATE_HOSTS) return;
+  if (url.username || url.password || (url.port && url.port !== '80' && url.port !== '443')) {
+    throw createBlockedError();
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+    throw createBlockedError();
+  }
+}
+
+function requestPublicResource(url, { accept, maxBytes, signal }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      headers: {
+        accept,
+        'user-agent': 'Mozilla/5.0 (compatible; MacroLinkPreview/1.0)'
+      },
+      lookup: UNFURL_ALLOW_PRIVATE_HOSTS ? undefined : safeLookup,
+      signal
+    }, (response) => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        resolve({ status: statusCode, location: headers.location });
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      const finish = () => resolve({
+        status: statusCode,
+        contentType: String(headers['content-type'] || ''),
+        body: Buffer.concat(chunks).toString('utf8')
+      });
+      response.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        // Metadata lives in <head>; a truncated body is still useful.
+        if (size >= maxBytes) {
+          response.destroy();
+          finish();
+        }
+      });
+      response.on('end', finish);
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+  });
+}
+
+async function fetchPublicResource(target, { accept = '*/*', maxBytes = UNFURL_MAX_BYTES } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), UNFURL_TIMEOUT_MS);
+  let current = target;
+  try {
+    for (let hops = 0; hops <= UNFURL_MAX_REDIRECTS; hops += 1) {
+      assertFetchableUrl(current);
+      const result = await requestPublicResource(current, { accept, maxBytes, signal: controller.signal });
+      if (!result.location) {
+        return { ...result, url: current };
+      }
+      current = new URL(result.location, current);
+    }
+    const error = new Error('Too many redirects.');
+    error.code = 'UNFURL_REDIRECTS';
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function cleanMetaText(value, maxLength) {
+  if (!value) return null;
+  const text = value
+    .replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+      if (name[0] !== '#') return HTML_ENTITIES[name.toLowerCase()] ?? match;
+      const code = name[1].toLowerCase() === 'x' ? Number.parseInt(name.slice(2), 16) : Number.parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function resolveMetaUrl(value, baseUrl) {
+  const cleaned = cleanMetaText(value, 2048);
+  if (!cleaned) return null;
+  try {
+    const url = new URL(cleaned, baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseTagAttributes(tag) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  for (const match of tag.matchAll(pattern)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) attributes[name] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+// Reads Open Graph, Twitter Card and plain HTML metadata from the document
+// head. The first value wins, matching how most unfurlers treat duplicates.
+function parseHtmlMetadata(html, baseUrl) {
+  const headEnd = html.search(/<\/head>/i);
+  const head = headEnd >= 0 ? html.slice(0, headEnd) : html;
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseTagAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content && !(key in meta)) meta[key] = attributes.content;
+  }
+
+  let favicon = null;
+  let oembedUrl = null;
+  for (const [tag] of head.matchAll(/<link\b[^>]*>/gi)) {
+    const attributes = parseTagAttributes(tag);
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    if (!favicon && rel.includes('icon')) favicon = resolveMetaUrl(attributes.href, baseUrl);
+    if (!oembedUrl && rel.includes('alternate') && /json\+oembed/i.test(attributes.type || '')) {
+      oembedUrl = resolveMetaUrl(attributes.href, baseUrl);
+    }
+  }
+
+  const titleTag = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return {
+    title: cleanMetaText(meta['og:title'] || meta['twitter:title'] || titleTag?.[1], 300),
+    description: cleanMetaText(meta['og:description'] || meta['twitter:description'] || meta.description, 500),
+    image: resolveMetaUrl(meta['og:image:secure_url'] || meta['og:image'] || meta['twitter:image'] || meta['twitter:image:src'], baseUrl),
+    siteName: cleanMetaText(meta['og:site_name'] || meta['application-name'], 100),
+    favicon,
+    oembedUrl
+  };
+}
+
+// Every distinct URL gets its own cache file, so the unfurl cache is capped
+// by entry count; past the cap the least recently written tenth is dropped.
+let unfurlCacheEntries = null;
+
+function writeUnfurlCacheEntry(key, payload) {
+  const file = getCacheFile('unfurl', key);
+  const isNew = !fs.existsSync(file);
+  writeCacheEntry('unfurl', key, payload);
+  if (!isNew) return;
+
+  if (unfurlCacheEntries === null) {
+    unfurlCacheEntries = listUnfurlCacheFiles().length;
+  } else {
+    unfurlCacheEntries += 1;
+  }
+  if (unfurlCacheEntries > UNFURL_CACHE_MAX_ENTRIES) {
+    pruneUnfurlCache();
+  }
+}
+
+function listUnfurlCacheFiles() {
+  const directory = path.join(CACHE_DIR, 'unfurl');
+  try {
+    return fs.readdirSync(directory)
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => path.join(directory, name));
+  } catch (error) {
+    return [];
+  }
+}
+
+function pruneUnfurlCache() {
+  const target = Math.floor(UNFURL_CACHE_MAX_ENTRIES * 0.9);
+  const files = listUnfurlCacheFiles()
+    .map((file) => {
+      try {
+        return { file, mtimeMs: fs.statSync(file).mtimeMs };
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+  const excess = files.slice(0, Math.max(files.length - target, 0));
+  excess.forEach(({ file }) => fs.rmSync(file, { force: true }));
+  unfurlCacheEntries = files.length - excess.length;
+}
+
+async function unfurlUrl(url) {
+  const page = await fetchPublicResource(url, { accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' });
+  if (page.status >= 400) {
+    const error = new Error(`Link responded with status ${page.status}.`);
+    error.code = 'UNFURL_HTTP';
+    throw error;
+  }
+
+  const preview = {
+    url: url.href,
+    finalUrl: page.url.href,
+    title: null,
+    description: null,
+    image: null,
+    siteName: null,
+    favicon: null
+  };
+  if (/^image\//i.test(page.contentType)) {
+    return { ...preview, image: page.url.href };
+  }
+  if (!/html/i.test(page.contentType)) {
+    return preview;
+  }
+
+  const { oembedUrl, ...metadata } = parseHtmlMetadata(page.body, page.url);
+  Object.assign(preview, metadata);
+
+  if (oembedUrl && (!preview.title || !preview.image)) {
+    try {
+      const oembed = await fetchPublicResource(new URL(oembedUrl), { accept: 'application/json', maxBytes: 64 * 1024 });
+      const data = oembed.status < 400 ? JSON.parse(oembed.body) : null;
+      if (data && typeof data === 'object') {
+        preview.title = preview.title || cleanMetaText(data.title, 300);
+        preview.siteName = preview.siteName || cleanMetaText(data.provider_name, 100);
+        preview.image = preview.image || resolveMetaUrl(data.thumbnail_url, page.url);
+      }
+    } catch (error) {
+      // oEmbed is a best-effort fallback.
+    }
+  }
+  return preview;
+}
+
 let keyStoreCache = null;
 
 function loadKeyStore() {
@@ -151,6 +926,96 @@ function saveKeyStore() {
   fs.writeFileSync(KEY_STORE_FILE, JSON.stringify(keyStoreCache, null, 2));
 }
 
+let libraryStoreCache = null;
+
+function loadLibraryStore() {
+  if (libraryStoreCache) return libraryStoreCache;
+  try {
+    const raw = fs.readFileSync(LIBRARY_STORE_FILE, 'utf8');
+    libraryStoreCache = JSON.parse(raw);
+  } catch (error) {
+    libraryStoreCache = {};
+  }
+  return libraryStoreCache;
+}
+
+function saveLibraryStore() {
+  if (!libraryStoreCache) return;
+  ensureDataDir();
+  fs.writeFileSync(LIBRARY_STORE_FILE, JSON.stringify(libraryStoreCache));
+}
+
+function getUserLibrary(userId) {
+  const store = loadLibraryStore();
+  if (!store[userId] || typeof store[userId] !== 'object') {
+    store[userId] = { items: {}, updatedAt: null };
+  }
+  if (!store[userId].items || typeof store[userId].items !== 'object') {
+    store[userId].items = {};
+  }
+  return store[userId];
+}
+
+function applyLibraryMutation(library, mutation, receivedAt) {
+  if (!mutation || typeof mutation !== 'object') return { status: 'rejected' };
+
+  const version = {
+    updatedAt: typeof mutation.updatedAt === 'number' ? mutation.updatedAt : receivedAt,
+    deviceId: typeof mutation.deviceId === 'string' ? mutation.deviceId.slice(0, 64) : null,
+    receivedAt
+  };
+
+  let candidate = null;
+  if (mutation.type === 'save') {
+    const item = sharedModules.sanitizeLibraryItem(mutation.item);
+    if (!item) return { status: 'rejected' };
+    candidate = { ...item, ...version };
+  } else if (mutation.type === 'delete') {
+    const tweetId = typeof mutation.tweetId === 'string' ? mutation.tweetId.trim() : '';
+    if (!tweetId) return { status: 'rejected' };
+    candidate = { tweetId, deleted: true, ...version };
+  } else {
+    return { status: 'rejected' };
+  }
+
+  const existing = library.items[candidate.tweetId];
+  if (existing && sharedModules.compareVersions(candidate, existing) <= 0) {
+    return { status: 'stale', record: existing };
+  }
+
+  library.items[candidate.tweetId] = candidate;
+  return { status: 'applied', record: candidate };
+}
+
+// The server only holds saved root tweets, so exports here carry no cached
+// thread replies. Formatting comes from services/export.js so the files match
+// what the client exports.
+function buildLibraryExport(records, format) {
+  const { buildCsvExport, buildJsonExport, buildMarkdownExport, buildThreadEntry, getTweetText } = sharedModules;
+  const items = records
+    .filter((record) => !record.deleted)
+    .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+
+  if (format === 'csv') {
+    const rows = items.map((item) => ({
+      id: item.tweetId,
+      url: item.url,
+      author: item.tweet?.author?.name || '',
+      handle: item.tweet?.author?.userName || '',
+      savedAt: item.savedAt,
+      text: getTweetText(item.tweet)
+    }));
+    return { body: buildCsvExport(rows), contentType: 'text/csv', extension: 'csv' };
+  }
+
+  if (format === 'markdown') {
+    const entries = items.map((item) => buildThreadEntry(item));
+    return { body: buildMarkdownExport(entries), contentType: 'text/markdown', extension: 'md' };
+  }
+
+  return { body: buildJsonExport(items, {}), contentType: 'application/json', extension: 'json' };
+}
+
 function encryptApiKey(value) {
   if (!encryptionKey) {
     throw new Error('ENCRYPTION_SECRET is not configured on the server.');
@@ -227,6 +1092,7 @@ app.post('/api/verify', async (req, res) => {
       });
     }
 
+    markKeyVerified(apiKey);
     return res.json({
       credits: payload?.recharge_credits ?? null
     });
@@ -238,15 +1104,23 @@ app.post('/api/verify', async (req, res) => {
   }
 });
 
+// Cache hits cost no twitterapi.io credits, so they aren't counted against
+// the key's usage budget; the key still has to verify before they're served.
 app.post('/api/tweets', async (req, res) => {
-  const apiKey = extractApiKey(req, res);
+  const apiKey = await requireVerifiedApiKey(req, res);
   if (!apiKey) return;
 
-  const { tweetId } = req.body || {};
+  const { tweetId, force = false } = req.body || {};
   if (!tweetId || typeof tweetId !== 'string') {
     return res.status(400).json({ message: 'tweetId is required.' });
   }
 
+  const cacheable = /^\d+$/.test(tweetId);
+  const cached = cacheable && !force ? readCacheEntry('tweets', tweetId, TWEET_CACHE_TTL_MS) : null;
+  if (cached) {
+    return res.json({ tweet: cached.payload, cache: { hit: true, storedAt: cached.storedAt } });
+  }
+
   const url = new URL('/twitter/tweets', API_BASE_URL);
   url.searchParams.set('tweet_ids', tweetId);
 
@@ -277,8 +1151,12 @@ app.post('/api/tweets', async (req, res) => {
       return res.status(404).json({ message: 'Tweet not found.' });
     }
 
-    return res.json({ tweet });
+    const entry = cacheable ? writeCacheEntry('tweets', tweetId, tweet) : { storedAt: Date.now() };
+    return res.json({ tweet, cache: { hit: false, storedAt: entry.storedAt } });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ message: error.message });
+    }
     const message = error.name === 'AbortError'
       ? 'twitterapi.io request timed out.'
       : 'Unexpected error fetching tweet.';
@@ -286,34 +1164,127 @@ app.post('/api/tweets', async (req, res) => {
   }
 });
 
+app.post('/api/tweets/batch', async (req, res) => {
+  const apiKey = await requireVerifiedApiKey(req, res);
+  if (!apiKey) return;
+
+  const rawIds = req.body?.tweetIds;
+  if (!Array.isArray(rawIds) || rawIds.length === 0) {
+    return res.status(400).json({ message: 'tweetIds must be a non-empty array.' });
+  }
+  if (rawIds.length > MAX_BATCH_TWEET_IDS) {
+    return res.status(413).json({ message: `At most ${MAX_BATCH_TWEET_IDS} tweetIds per request.` });
+  }
+
+  const tweetIds = Array.from(new Set(
+    rawIds
+      .filter((value) => typeof value === 'string')
+      .map((value) => value.trim())
+      .filter((value) => /^\d+$/.test(value))
+  ));
+  if (tweetIds.length === 0) {
+    return res.status(400).json({ message: 'tweetIds must contain numeric tweet ids.' });
+  }
+
+  const results = new Map();
+  const force = req.body?.force === true;
+  const misses = [];
+  tweetIds.forEach((tweetId) => {
+    const cached = force ? null : readCacheEntry('tweets', tweetId, TWEET_CACHE_TTL_MS);
+    if (cached) {
+      results.set(tweetId, { tweetId, status: 'ok', tweet: cached.payload, cached: true });
+    } else {
+      misses.push(tweetId);
+    }
+  });
+
+  for (let index = 0; index < misses.length; index += UPSTREAM_TWEET_CHUNK_SIZE) {
+    const chunk = misses.slice(index, index + UPSTREAM_TWEET_CHUNK_SIZE);
+    const url = new URL('/twitter/tweets', API_BASE_URL);
+    url.searchParams.set('tweet_ids', chunk.join(','));
+
+    try {
+      const { response, payload } = await forwardRequest(url.pathname + url.search, apiKey);
+      if (!response.ok || payload?.status !== 'success' || !Array.isArray(payload.tweets)) {
+        const message = !response.ok
+          ? payload?.message || 'Unable to fetch tweets.'
+          : 'Unexpected response from twitterapi.io.';
+        chunk.forEach((tweetId) => results.set(tweetId, { tweetId, status: 'error', message }));
+        continue;
+      }
+
+      const byId = new Map();
+      payload.tweets.forEach((entry) => {
+        if (entry?.id) byId.set(String(entry.id), entry);
+      });
+      chunk.forEach((tweetId) => {
+        const tweet = byId.get(tweetId);
+        if (tweet) {
+          writeCacheEntry('tweets', tweetId, tweet);
+          results.set(tweetId, { tweetId, status: 'ok', tweet, cached: false });
+        } else {
+          results.set(tweetId, { tweetId, status: 'not-found', message: 'Tweet not found.' });
+        }
+      });
+    } catch (error) {
+      const message = error.code === 'BUDGET_EXCEEDED'
+        ? error.message
+        : error.name === 'AbortError'
+          ? 'twitterapi.io request timed out.'
+          : 'Unexpected error fetching tweets.';
+      chunk.forEach((tweetId) => results.set(tweetId, { tweetId, status: 'error', message }));
+    }
+  }
+
+  return res.json({
+    results: tweetIds.map((tweetId) => results.get(tweetId)),
+    cache: { hits: tweetIds.length - misses.length, misses: misses.length }
+  });
+});
+
 app.post('/api/thread', async (req, res) => {
-  const apiKey = extractApiKey(req, res);
+  const apiKey = await requireVerifiedApiKey(req, res);
   if (!apiKey) return;
 
-  const { tweetId, cursor = '' } = req.body || {};
+  const { tweetId, cursor = '', force = false, pages } = req.body || {};
   if (!tweetId || typeof tweetId !== 'string') {
     return res.status(400).json({ message: 'tweetId is required.' });
   }
+  const cacheable = /^\d+$/.test(tweetId);
 
   const seenIds = new Set();
   const collectedTweets = [];
-  const maxPages = 8;
+  const maxPages = Number.isInteger(pages) ? Math.min(Math.max(pages, 1), 8) : 8;
   let hasNextPage = false;
   let nextCursor = typeof cursor === 'string' ? cursor : '';
   let attempts = 0;
   let rootTweetId = null;
+  let cachedPages = 0;
+  let oldestStoredAt = null;
 
   try {
     do {
-      const url = new URL('/twitter/tweet/thread_context', API_BASE_URL);
-      url.searchParams.set('tweetId', tweetId);
-      if (nextCursor) {
-        url.searchParams.set('cursor', nextCursor);
-      }
+      const pageKey = getThreadPageCacheKey(tweetId, nextCursor);
+      const cachedPage = cacheable && !force
+        ? readCacheEntry('threads', pageKey, THREAD_CACHE_TTL_MS)
+        : null;
 
-      const { response, payload } = await forwardRequest(url.pathname + url.search, apiKey);
+      let response = { ok: true, status: 200 };
+      let payload = null;
+      if (cachedPage) {
+        payload = cachedPage.payload;
+        cachedPages += 1;
+        oldestStoredAt = Math.min(oldestStoredAt ?? cachedPage.storedAt, cachedPage.storedAt);
+      } else {
+        const url = new URL('/twitter/tweet/thread_context', API_BASE_URL);
+        url.searchParams.set('tweetId', tweetId);
+        if (nextCursor) {
+          url.searchParams.set('cursor', nextCursor);
+        }
+        ({ response, payload } = await forwardRequest(url.pathname + url.search, apiKey));
+      }
 
-      if (process.env.DEBUG_TWEETS === 'true') {
+      if (process.env.DEBUG_TWEETS === 'true' && !cachedPage) {
         const pretty = JSON.stringify(payload, null, 2);
         console.log('twitterapi.io /twitter/tweet/thread_context payload:', pretty);
         try {
@@ -328,12 +1299,10 @@ app.post('/api/thread', async (req, res) => {
           message: payload?.message || 'Unable to load thread.'
         });
       }
-
-      if (!rootTweetId) {
-        rootTweetId = payload?.tweet?.id
-          || payload?.original_tweet_id
-          || payload?.originalTweetId
-          || tweetId;
+      if (payload?.status === 'error') {
+        return res.status(502).json({
+          message: payload?.message || payload?.msg || 'Unable to load thread.'
+        });
       }
 
       const pageTweets = Array.isArray(payload?.tweets)
@@ -342,6 +1311,22 @@ app.post('/api/thread', async (req, res) => {
           ? payload.replies
           : [];
 
+      // Only pages that actually carried tweets are cached, so an upstream
+      // hiccup isn't pinned for THREAD_CACHE_TTL_MS.
+      if (!cachedPage) {
+        const stored = cacheable && pageTweets.length > 0
+          ? writeCacheEntry('threads', pageKey, payload)
+          : { storedAt: Date.now() };
+        oldestStoredAt = Math.min(oldestStoredAt ?? stored.storedAt, stored.storedAt);
+      }
+
+      if (!rootTweetId) {
+        rootTweetId = payload?.tweet?.id
+          || payload?.original_tweet_id
+          || payload?.originalTweetId
+          || tweetId;
+      }
+
       for (const entry of pageTweets) {
         const entryId = entry?.id || entry?.tweet_id || entry?.tweetId;
         if (!entryId || seenIds.has(entryId)) continue;
@@ -357,11 +1342,19 @@ app.post('/api/thread', async (req, res) => {
     return res.json({
       tweets: collectedTweets,
       rootTweetId,
-      fetchedAt: Date.now(),
+      fetchedAt: oldestStoredAt ?? Date.now(),
       hasNextPage: hasNextPage && !!nextCursor,
-      nextCursor: hasNextPage ? nextCursor : null
+      nextCursor: hasNextPage ? nextCursor : null,
+      cache: {
+        hit: attempts > 0 && cachedPages === attempts,
+        pages: attempts,
+        cachedPages
+      }
     });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ message: error.message });
+    }
     const message = error.name === 'AbortError'
       ? 'twitterapi.io thread request timed out.'
       : 'Unexpected error fetching thread.';
@@ -369,6 +1362,191 @@ app.post('/api/thread', async (req, res) => {
   }
 });
 
+app.post('/api/users/tweets', async (req, res) => {
+  const apiKey = await requireVerifiedApiKey(req, res);
+  if (!apiKey) return;
+
+  const { userName, cursor = '' } = req.body || {};
+  if (typeof userName !== 'string' || !/^\w{1,15}$/.test(userName)) {
+    return res.status(400).json({ message: 'A valid userName is required.' });
+  }
+
+  try {
+    const page = await fetchCollectionPages('/twitter/user/last_tweets', { userName }, apiKey, cursor);
+    return res.json({ source: { kind: 'profile', userName }, ...page });
+  } catch (error) {
+    return sendCollectionError(res, error, 'Unexpected error fetching profile posts.');
+  }
+});
+
+app.post('/api/lists/tweets', async (req, res) => {
+  const apiKey = await requireVerifiedApiKey(req, res);
+  if (!apiKey) return;
+
+  const { listId, cursor = '' } = req.body || {};
+  if (typeof listId !== 'string' || !/^\d+$/.test(listId)) {
+    return res.status(400).json({ message: 'A numeric listId is required.' });
+  }
+
+  try {
+    const page = await fetchCollectionPages('/twitter/list/tweets', { listId }, apiKey, cursor);
+    return res.json({ source: { kind: 'list', listId }, ...page });
+  } catch (error) {
+    return sendCollectionError(res, error, 'Unexpected error fetching list posts.');
+  }
+});
+
+app.post('/api/usage', async (req, res) => {
+  const apiKey = await requireVerifiedApiKey(req, res);
+  if (!apiKey) return;
+  const days = Math.min(Math.max(Number(req.body?.days) || 30, 1), USAGE_RETENTION_DAYS);
+  return res.json(summarizeUsage(getUsageRecord(apiKey), days));
+});
+
+app.post('/api/usage/budget', async (req, res) => {
+  const apiKey = await requireVerifiedApiKey(req, res);
+  if (!apiKey) return;
+
+  const parseLimit = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit > 0 ? limit : undefined;
+  };
+  const daily = parseLimit(req.body?.daily);
+  const monthly = parseLimit(req.body?.monthly);
+  if (daily === undefined || monthly === undefined) {
+    return res.status(400).json({ message: 'Budgets must be positive whole numbers or empty.' });
+  }
+
+  const record = getUsageRecord(apiKey);
+  record.budget = { daily, monthly };
+  try {
+    await saveUsageStore();
+    return res.json(summarizeUsage(record));
+  } catch (error) {
+    console.error('Failed to save usage budget', error);
+    return res.status(500).json({ message: 'Unable to save budget.' });
+  }
+});
+
+// Only t.co is expanded so the endpoint can't be used to probe arbitrary hosts.
+app.post('/api/resolve-url', async (req, res) => {
+  let current;
+  try {
+    current = new URL(String(req.body?.url || ''));
+  } catch (error) {
+    return res.status(400).json({ message: 'url is required.' });
+  }
+  if (current.hostname !== 't.co') {
+    return res.status(400).json({ message: 'Only t.co links can be expanded.' });
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10_000);
+  try {
+    for (let hops = 0; hops < SHORT_LINK_MAX_HOPS && current.hostname === 't.co'; hops += 1) {
+      current.protocol = 'https:';
+      const response = await fetch(current.href, {
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return res.status(404).json({ message: 'That t.co link does not redirect anywhere.' });
+      }
+      current = new URL(location, current);
+    }
+    return res.json({ url: current.href });
+  } catch (error) {
+    const message = error.name === 'AbortError'
+      ? 't.co request timed out.'
+      : 'Unable to expand t.co link.';
+    return res.status(502).json({ message });
+  } finally {
+    clearTimeout(timeout);
+  }
+});
+
+app.post('/api/unfurl', async (req, res) => {
+  const apiKey = await requireVerifiedApiKey(req, res);
+  if (!apiKey) return;
+
+  let url;
+  try {
+    url = new URL(String(req.body?.url || ''));
+  } catch (error) {
+    return res.status(400).json({ message: 'url is required.' });
+  }
+
+  const cached = readCacheEntry('unfurl', url.href, UNFURL_CACHE_TTL_MS);
+  if (cached && !(cached.payload?.error && Date.now() - cached.storedAt > UNFURL_ERROR_TTL_MS)) {
+    if (cached.payload.error) {
+      return res.status(cached.payload.status).json({ message: cached.payload.error });
+    }
+    return res.json({ preview: cached.payload, cached: true });
+  }
+
+  try {
+    const preview = await unfurlUrl(url);
+    writeUnfurlCacheEntry(url.href, preview);
+    return res.json({ preview, cached: false });
+  } catch (error) {
+    const status = error.code === 'UNFURL_BLOCKED' ? 400 : 502;
+    const message = error.code === 'UNFURL_BLOCKED' || error.code === 'UNFURL_HTTP' || error.code === 'UNFURL_REDIRECTS'
+      ? error.message
+      : error.name === 'AbortError'
+        ? 'Link preview timed out.'
+        : 'Unable to load link preview.';
+    writeUnfurlCacheEntry(url.href, { error: message, status });
+    return res.status(status).json({ message });
+  }
+});
+
+app.post('/api/media/archive', async (req, res) => {
+  const apiKey = await requireVerifiedApiKey(req, res);
+  if (!apiKey) return;
+
+  const urls = Array.isArray(req.body?.urls) ? Array.from(new Set(req.body.urls)) : null;
+  if (!urls || urls.length === 0) {
+    return res.status(400).json({ message: 'urls must be a non-empty array.' });
+  }
+  if (urls.length > MAX_ARCHIVE_URLS) {
+    return res.status(400).json({ message: `At most ${MAX_ARCHIVE_URLS} media URLs per request.` });
+  }
+
+  const results = [];
+  for (const value of urls) {
+    const url = parseMediaUrl(value);
+    if (!url) {
+      results.push({ url: value, status: 'rejected', message: 'Only twimg.com media can be archived.' });
+      continue;
+    }
+    const result = await archiveMediaUrl(url);
+    results.push({
+      url: value,
+      ...result,
+      path: result.mediaId ? `/api/media/${result.mediaId}` : undefined
+    });
+  }
+
+  return res.json({ results });
+});
+
+app.get('/api/media/:mediaId', (req, res) => {
+  const { mediaId } = req.params;
+  if (!/^[a-f0-9]{40}$/.test(mediaId)) {
+    return res.status(404).json({ message: 'Media not found.' });
+  }
+  const meta = readMediaMeta(mediaId);
+  const { file } = getMediaFiles(mediaId);
+  if (!meta || !fs.existsSync(file)) {
+    return res.status(404).json({ message: 'Media not found.' });
+  }
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.type(meta.contentType || 'application/octet-stream');
+  return res.sendFile(file);
+});
+
 app.post('/api/user/api-key', authenticateFirebase, (req, res) => {
   const incomingKey = typeof req.body?.apiKey === 'string' ? req.body.apiKey.trim() : '';
   if (!incomingKey) {
@@ -420,6 +1598,73 @@ app.delete('/api/user/api-key', authenticateFirebase, (req, res) => {
   return res.status(204).send();
 });
 
+app.get('/api/user/items', authenticateFirebase, (req, res) => {
+  const library = getUserLibrary(req.firebaseUser.uid);
+  const since = Number(req.query.since);
+  const serverTime = Date.now();
+  const records = Object.values(library.items).filter((record) => {
+    if (!Number.isFinite(since)) return true;
+    return (record.receivedAt || 0) >= since;
+  });
+
+  return res.json({
+    items: records.filter((record) => !record.deleted),
+    tombstones: records.filter((record) => record.deleted),
+    serverTime
+  });
+});
+
+app.post(SYNC_MUTATIONS_PATH, authenticateFirebase, parseSyncBody, (req, res) => {
+  const mutations = req.body?.mutations;
+  if (!Array.isArray(mutations)) {
+    return res.status(400).json({ message: 'mutations must be an array.' });
+  }
+  if (mutations.length > MAX_MUTATIONS_PER_REQUEST) {
+    return res.status(413).json({ message: `At most ${MAX_MUTATIONS_PER_REQUEST} mutations per request.` });
+  }
+
+  const library = getUserLibrary(req.firebaseUser.uid);
+  const receivedAt = Date.now();
+  let applied = 0;
+  let rejected = 0;
+  const conflicts = [];
+  mutations.forEach((mutation) => {
+    const result = applyLibraryMutation(library, mutation, receivedAt);
+    if (result.status === 'applied') {
+      applied += 1;
+    } else if (result.status === 'stale') {
+      conflicts.push(result.record);
+    } else {
+      rejected += 1;
+    }
+  });
+
+  try {
+    if (applied > 0) {
+      library.updatedAt = receivedAt;
+      saveLibraryStore();
+    }
+    return res.json({ applied, rejected, conflicts, serverTime: receivedAt });
+  } catch (error) {
+    console.error('Failed to persist library mutations', error);
+    return res.status(500).json({ message: 'Unable to store library changes.' });
+  }
+});
+
+app.get('/api/user/export', authenticateFirebase, (req, res) => {
+  const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'json';
+  if (!['json', 'csv', 'markdown'].includes(format)) {
+    return res.status(400).json({ message: 'format must be json, csv or markdown.' });
+  }
+
+  const library = getUserLibrary(req.firebaseUser.uid);
+  const { body, contentType, extension } = buildLibraryExport(Object.values(library.items), format);
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="macro-library-${stamp}.${extension}"`);
+  res.type(`${contentType}; charset=utf-8`);
+  return res.send(body);
+});
+
 app.get('/firebase-config.js', (_req, res) => {
   console.log('[config] Serving firebase config');
   res.type('application/javascript');
@@ -430,12 +1675,30 @@ app.get('/firebase-config.js', (_req, res) => {
   return res.send(`window.__FIREBASE_CONFIG__ = ${payload};`);
 });
 
-app.use(express.static(path.join(__dirname)));
+// Only the client shell is public; data/ holds API keys, synced libraries,
+// usage records and caches and must never be reachable over HTTP.
+const PUBLIC_FILES = ['index.html', 'app.js', 'styles.css', 'sw.js', 'manifest.webmanifest'];
+const PUBLIC_DIRS = ['assets', 'services'];
+
+app.get('/', (_req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+PUBLIC_FILES.forEach((file) => {
+  app.get(`/${file}`, (_req, res) => res.sendFile(path.join(__dirname, file)));
+});
+PUBLIC_DIRS.forEach((dir) => {
+  app.use(`/${dir}`, express.static(path.join(__dirname, dir)));
+});
 
 app.get('/health', (_req, res) => {
   res.json({ status: 'ok' });
 });
 
-app.listen(PORT, () => {
-  console.log(`Proxy listening on http://localhost:${PORT}`);
-});
+if (require.main === module) {
+  sharedModulesReady.then(() => {
+    app.listen(PORT, () => {
+      console.log(`Proxy listening on http://localhost:${PORT}`);
+    });
+  });
+}
+
+// Exposed for the tests under test/.
+module.exports = { app, unfurlUrl };
@@ -0,0 +1,383 @@
+'use strict';
+
+// Renders thread entries (see buildThreadEntry in thread-blocks.js) to a
+// standalone print-styled HTML document or an EPUB 3 book with one chapter
+// per thread. The markup is XHTML so both outputs share one renderer.
+
+const ARTICLE_STYLES = `
+body { font-family: Georgia, 'Times New Roman', serif; line-height: 1.6; color: #1b1d1f; margin: 0 auto; max-width: 38em; padding: 2em 1.5em; }
+h1 { font-size: 1.5em; font-weight: normal; line-height: 1.3; margin: 0 0 0.25em; }
+p { margin: 0 0 1em; }
+a { color: inherit; }
+img { max-width: 100%; height: auto; }
+figure { margin: 1.5em 0; }
+.byline, .source, .reply-author, .quote-byline, .link-url, figcaption { font-family: -apple-system, 'Helvetica Neue', Arial, sans-serif; font-size: 0.8em; color: #64748b; }
+.source { margin-bottom: 2em; word-break: break-all; }
+.reply-author { border-top: 1px solid #e2e8f0; padding-top: 1em; }
+.link { border-left: 3px solid #e2e8f0; padding-left: 0.75em; }
+.quote { border: 1px solid #e2e8f0; border-radius: 0.5em; margin: 1.5em 0; padding: 0.75em 1em; }
+article + article { margin-top: 3em; }
+@media print {
+  body { max-width: none; padding: 0; }
+  article + article { break-before: page; margin-top: 0; }
+  a { text-decoration: none; }
+  figure, .quote { break-inside: avoid; }
+}
+@page { margin: 2cm; }
+`.trim();
+
+export function buildArticleHtml(entries = [], { title = 'Macro' } = {}) {
+  const articles = entries.map((entry) => renderEntry(entry, { resolveImage: (url) => url })).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeXml(title)}</title>
+<style>
+${ARTICLE_STYLES}
+</style>
+</head>
+<body>
+${articles}
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds an EPUB as a Blob. `fetchImage(url)` may return
+ * `{ data: Uint8Array, type }` to embed a picture, or null to link to it;
+ * e-readers generally won't load remote images.
+ */
+export async function buildEpub(entries = [], { title = 'Macro', language = 'en', fetchImage = null } = {}) {
+  const images = new Map();
+  if (typeof fetchImage === 'function') {
+    for (const url of collectImageUrls(entries)) {
+      const image = await fetchImage(url).catch(() => null);
+      const extension = IMAGE_EXTENSIONS[image?.type];
+      if (!image?.data || !extension) continue;
+      images.set(url, { path: `images/image-${images.size + 1}.${extension}`, ...image });
+    }
+  }
+
+  const chapters = entries.map((entry, index) => ({
+    id: `chapter-${index + 1}`,
+    path: `chapter-${index + 1}.xhtml`,
+    title: getEntryTitle(entry),
+    body: renderEntry(entry, { resolveImage: (url) => images.get(url)?.path || null })
+  }));
+
+  const identifier = `urn:uuid:${crypto.randomUUID()}`;
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const encoder = new TextEncoder();
+  const text = (value) => encoder.encode(value);
+
+  const files = [
+    { name: 'mimetype', data: text('application/epub+zip') },
+    { name: 'META-INF/container.xml', data: text(buildContainerXml()) },
+    {
+      name: 'OEBPS/content.opf',
+      data: text(buildPackageDocument({ title, language, identifier, modified, chapters, images }))
+    },
+    { name: 'OEBPS/nav.xhtml', data: text(buildNavDocument(title, language, chapters)) },
+    { name: 'OEBPS/toc.ncx', data: text(buildNcx(title, identifier, chapters)) },
+    { name: 'OEBPS/style.css', data: text(ARTICLE_STYLES) },
+    ...chapters.map((chapter) => ({
+      name: `OEBPS/${chapter.path}`,
+      data: text(buildChapterDocument(chapter, language))
+    })),
+    ...Array.from(images.values()).map((image) => ({ name: `OEBPS/${image.path}`, data: image.data }))
+  ];
+
+  return new Blob([createZip(files)], { type: 'application/epub+zip' });
+}
+
+const IMAGE_EXTENSIONS = Object.freeze({
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+});
+
+function collectImageUrls(entries) {
+  const urls = new Set();
+  const visit = (blocks = []) => blocks.forEach((block) => {
+    if (block.type === 'media') {
+      block.items.forEach((media) => {
+        const url = media.media_url_https || media.media_url;
+        if (url) urls.add(url);
+      });
+    } else if (block.type === 'quote') {
+      visit(block.blocks);
+    }
+  });
+  entries.forEach((entry) => visit(entry.blocks));
+  return Array.from(urls);
+}
+
+function getEntryTitle(entry) {
+  return entry.title || [entry.author, entry.handle ? `@${entry.handle}` : null].filter(Boolean).join(' · ') || 'Saved thread';
+}
+
+function renderEntry(entry, options) {
+  const date = entry.createdAt ? new Date(entry.createdAt).toLocaleDateString(undefined, { dateStyle: 'long' }) : null;
+  const byline = [entry.author, entry.handle ? `@${entry.handle}` : null, date].filter(Boolean).join(' · ');
+  const parts = [`<h1>${escapeXml(getEntryTitle(entry))}</h1>`];
+  if (byline) parts.push(`<p class="byline">${escapeXml(byline)}</p>`);
+  if (entry.url) parts.push(`<p class="source"><a href="${escapeXml(entry.url)}">${escapeXml(entry.url)}</a></p>`);
+  parts.push(renderBlocks(entry.blocks || [], options));
+  return `<article>\n${parts.join('\n')}\n</article>`;
+}
+
+function renderBlocks(blocks, options) {
+  return blocks.map((block) => {
+    if (block.type === 'text') {
+      return `<p>${renderTokens(block)}</p>`;
+    }
+    if (block.type === 'author' && block.author) {
+      const name = [block.author.name, block.author.userName ? `@${block.author.userName}` : null].filter(Boolean).join(' · ');
+      return `<p class="reply-author">${escapeXml(name || 'Reply')}</p>`;
+    }
+    if (block.type === 'link-card' && block.link) {
+      const href = block.link.href || block.link.url;
+      const label = block.link.title || block.link.displayUrl || href;
+      return `<p class="link"><a href="${escapeXml(href)}">${escapeXml(label)}</a><br /><span class="link-url">${escapeXml(block.link.displayUrl || href)}</span></p>`;
+    }
+    if (block.type === 'media' && Array.isArray(block.items)) {
+      return block.items.map((media) => renderMedia(media, options)).filter(Boolean).join('\n');
+    }
+    if (block.type === 'quote') {
+      const author = block.tweet?.author;
+      const byline = [author?.name, author?.userName ? `@${author.userName}` : null].filter(Boolean).join(' · ') || 'Quoted post';
+      const heading = block.url
+        ? `<p class="quote-byline"><a href="${escapeXml(block.url)}">${escapeXml(byline)}</a></p>`
+        : `<p class="quote-byline">${escapeXml(byline)}</p>`;
+      return `<blockquote class="quote">\n${heading}\n${renderBlocks(block.blocks || [], options)}\n</blockquote>`;
+    }
+    return '';
+  }).filter(Boolean).join('\n');
+}
+
+function renderTokens(block) {
+  const tokens = Array.isArray(block.tokens) && block.tokens.length > 0
+    ? block.tokens
+    : [{ type: 'text', text: block.text }];
+  return tokens.map((token) => {
+    const text = escapeXml(token.text).replace(/\n/g, '<br />');
+    return token.href ? `<a href="${escapeXml(token.href)}">${text}</a>` : text;
+  }).join('');
+}
+
+function renderMedia(media, { resolveImage }) {
+  const remote = media.media_url_https || media.media_url;
+  const source = remote ? resolveImage(remote) : null;
+  const alt = media.alt_text || media.ext_alt_text || '';
+  const isVideo = media.type === 'video' || media.type === 'animated_gif';
+  const caption = isVideo && media.videoUrl
+    ? `<figcaption><a href="${escapeXml(media.videoUrl)}">${media.type === 'video' ? 'Watch video' : 'View GIF'}</a></figcaption>`
+    : alt ? `<figcaption>${escapeXml(alt)}</figcaption>` : '';
+  if (source) {
+    return `<figure><img src="${escapeXml(source)}" alt="${escapeXml(alt)}" />${caption}</figure>`;
+  }
+  if (remote) {
+    return `<figure><a href="${escapeXml(remote)}">${isVideo ? 'Video' : 'Image'}</a>${caption}</figure>`;
+  }
+  return null;
+}
+
+function buildContainerXml() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`;
+}
+
+function buildPackageDocument({ title, language, identifier, modified, chapters, images }) {
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml" />',
+    '<item id="style" href="style.css" media-type="text/css" />',
+    ...chapters.map((chapter) => `<item id="${chapter.id}" href="${chapter.path}" media-type="application/xhtml+xml" />`),
+    ...Array.from(images.values()).map((image, index) => (
+      `<item id="image-${index + 1}" href="${image.path}" media-type="${image.type}" />`
+    ))
+  ];
+  const spine = chapters.map((chapter) => `<itemref idref="${chapter.id}" />`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${identifier}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>
+    <dc:creator>Macro</dc:creator>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine toc="ncx">
+    ${spine.join('\n    ')}
+  </spine>
+</package>
+`;
+}
+
+function buildNavDocument(title, language, chapters) {
+  const entries = chapters.map((chapter) => `<li><a href="${chapter.path}">${escapeXml(chapter.title)}</a></li>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head><title>${escapeXml(title)}</title></head>
+<body>
+<nav epub:type="toc" id="toc">
+<h1>${escapeXml(title)}</h1>
+<ol>
+${entries.join('\n')}
+</ol>
+</nav>
+</body>
+</html>
+`;
+}
+
+function buildNcx(title, identifier, chapters) {
+  const points = chapters.map((chapter, index) => `    <navPoint id="nav-${index + 1}" playOrder="${index + 1}">
+      <navLabel><text>${escapeXml(chapter.title)}</text></navLabel>
+      <content src="${chapter.path}" />
+    </navPoint>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${identifier}" />
+  </head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${points.join('\n')}
+  </navMap>
+</ncx>
+`;
+}
+
+function buildChapterDocument(chapter, language) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+<title>${escapeXml(chapter.title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${chapter.body}
+</body>
+</html>
+`;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Minimal ZIP writer (no compression). EPUB requires `mimetype` to be the
+// first, uncompressed entry, which storing every file satisfies.
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  const { time, date } = toDosDateTime(new Date());
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const checksum = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + size;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+function concatBytes(parts) {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+}
+
+function toDosDateTime(value) {
+  return {
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+    date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+  };
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let index = 0; index < 256; index += 1) {
+      let value = index;
+      for (let bit = 0; bit < 8; bit += 1) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+      }
+      crcTable[index] = value >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let index = 0; index < bytes.length; index += 1) {
+    crc = crcTable[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
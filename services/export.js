@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Library export formats.
+ *
+ * JSON (`macro.library`, version 1):
+ * {
+ *   schema: 'macro.library',
+ *   version: 1,
+ *   exportedAt: ISO-8601 string,
+ *   items: [{ tweetId, url, savedAt, updatedAt, tags, highlights, tweet }],
+ *   threads: { [tweetId]: { rootTweetId, fetchedAt, tweets } }
+ * }
+ * `savedAt`, `updatedAt` and `fetchedAt` are epoch milliseconds; `tweet` and
+ * `tweets` are the twitterapi.io payloads as they were cached.
+ *
+ * CSV columns: id, url, author, handle, savedAt (ISO-8601), text.
+ *
+ * Markdown: one section per saved thread, separated by horizontal rules.
+ */
+
+export const EXPORT_SCHEMA = 'macro.library';
+export const EXPORT_VERSION = 1;
+
+const SNIPPET_LENGTH = 280;
+const CSV_COLUMNS = ['id', 'url', 'author', 'handle', 'savedAt', 'text'];
+
+export function buildJsonExport(items = [], threads = {}) {
+  const exportedItems = items
+    .filter((item) => item?.tweetId && !item.isPending)
+    .map((item) => ({
+      tweetId: item.tweetId,
+      url: item.url || null,
+      savedAt: item.savedAt ?? null,
+      updatedAt: item.updatedAt ?? item.savedAt ?? null,
+      tags: Array.isArray(item.tags) ? item.tags : [],
+      highlights: Array.isArray(item.highlights) ? item.highlights : [],
+      tweet: item.tweet || null
+    }));
+
+  const exportedIds = new Set(exportedItems.map((item) => item.tweetId));
+  const exportedThreads = {};
+  Object.entries(threads || {}).forEach(([tweetId, entry]) => {
+    if (!exportedIds.has(tweetId) || !Array.isArray(entry?.tweets)) return;
+    exportedThreads[tweetId] = {
+      rootTweetId: entry.rootTweetId || null,
+      fetchedAt: entry.fetchedAt ?? null,
+      tweets: entry.tweets
+    };
+  });
+
+  return JSON.stringify({
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    items: exportedItems,
+    threads: exportedThreads
+  }, null, 2);
+}
+
+export function buildCsvExport(rows = []) {
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach((row) => {
+    lines.push([
+      row.id,
+      row.url,
+      row.author,
+      row.handle,
+      row.savedAt ? new Date(row.savedAt).toISOString() : '',
+      toSnippet(row.text)
+    ].map(escapeCsvValue).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * `entries` are `{ title, author, handle, url, savedAt, tags, blocks }` as
+ * produced by buildThreadEntry in thread-blocks.js.
+ */
+export function buildMarkdownExport(entries = []) {
+  const sections = entries.map((entry) => {
+    const lines = [];
+    const byline = [entry.author, entry.handle ? `@${entry.handle}` : null].filter(Boolean).join(' · ');
+    lines.push(`## ${escapeMarkdown(entry.title || byline || 'Saved thread')}`);
+    lines.push('');
+    if (byline && entry.title) lines.push(`*${escapeMarkdown(byline)}*  `);
+    if (entry.url) lines.push(`Source: ${formatLinkDestination(entry.url)}  `);
+    if (entry.savedAt) lines.push(`Saved: ${new Date(entry.savedAt).toISOString()}  `);
+    if (Array.isArray(entry.tags) && entry.tags.length > 0) {
+      lines.push(`Tags: ${entry.tags.map((tag) => `#${tag}`).join(' ')}`);
+    }
+    lines.push('');
+
+    (entry.blocks || []).forEach((block) => {
+      if (block.type === 'text') {
+        lines.push(escapeMarkdown(block.text), '');
+      } else if (block.type === 'link-card' && block.link) {
+        const label = block.link.title || block.link.displayUrl || block.link.href;
+        lines.push(`[${escapeMarkdown(label)}](${formatLinkDestination(block.link.href || block.link.url)})`, '');
+      } else if (block.type === 'media' && Array.isArray(block.items)) {
+        block.items.forEach((media) => {
+          const reference = formatMediaReference(media);
+          if (reference) lines.push(reference, '');
+        });
+      } else if (block.type === 'author' && block.author) {
+        const name = [block.author.name, block.author.userName ? `@${block.author.userName}` : null].filter(Boolean).join(' · ');
+        lines.push(`**${escapeMarkdown(name || 'Reply')}:**`, '');
+      } else if (block.type === 'quote') {
+        const quoted = (block.blocks || [])
+          .filter((entry) => entry.type === 'text')
+          .map((entry) => escapeMarkdown(entry.text));
+        if (block.url) quoted.push(formatLinkDestination(block.url));
+        quoted.forEach((line, index) => {
+          if (index > 0) lines.push('>');
+          lines.push(...line.split('\n').map((row) => `> ${row}`));
+        });
+        lines.push('');
+      }
+    });
+
+    return lines.join('\n').trimEnd();
+  });
+
+  const header = `# Macro export\n\nExported ${new Date().toISOString()} · ${entries.length} ${entries.length === 1 ? 'thread' : 'threads'}`;
+  return `${[header, ...sections].join('\n\n---\n\n')}\n`;
+}
+
+export function downloadTextFile(filename, contents, mimeType = 'text/plain') {
+  downloadBlob(filename, new Blob([contents], { type: `${mimeType};charset=utf-8` }));
+}
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  anchor.rel = 'noopener';
+  document.body.append(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function formatMediaReference(media) {
+  if (!media) return null;
+  if (media.type === 'video' || media.type === 'animated_gif') {
+    const url = media.videoUrl || media.media_url_https || media.media_url;
+    return url ? `[${media.type === 'video' ? 'Video' : 'GIF'}](${formatLinkDestination(url)})` : null;
+  }
+  const url = media.media_url_https || media.media_url;
+  if (!url) return null;
+  const alt = media.alt_text || media.ext_alt_text || 'Image';
+  return `![${escapeMarkdown(alt)}](${formatLinkDestination(url)})`;
+}
+
+function toSnippet(text) {
+  const collapsed = String(text || '').replace(/\s+/g, ' ').trim();
+  return collapsed.length > SNIPPET_LENGTH ? `${collapsed.slice(0, SNIPPET_LENGTH - 1)}…` : collapsed;
+}
+
+function escapeCsvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Angle brackets let a destination contain ")"; whitespace and brackets are
+// percent-encoded since they can't appear inside them.
+function formatLinkDestination(url) {
+  return `<${String(url || '').replace(/[\s<>]/g, (char) => encodeURIComponent(char))}>`;
+}
+
+function escapeMarkdown(text) {
+  return String(text || '').replace(/([\\`*_[\]<>])/g, '\\$1');
+}
@@ -0,0 +1,112 @@
+'use strict';
+
+import { EXPORT_SCHEMA } from './export.js';
+import { sanitizeLibraryItem } from './library-item.js';
+
+/**
+ * Turns pasted text or an uploaded file into import candidates. Accepts the
+ * JSON export from services/export.js, Netscape bookmark HTML and plain
+ * lists with one URL per line. Candidates are `{ url, title, savedAt }`;
+ * JSON exports also carry the full `item`, cleaned by sanitizeLibraryItem,
+ * and its cached `thread`.
+ */
+export function parseImportSource(text = '') {
+  const source = String(text || '').trim();
+  if (!source) {
+    return { kind: 'empty', candidates: [] };
+  }
+
+  if (source.startsWith('{') || source.startsWith('[')) {
+    const parsed = parseJsonExport(source);
+    if (parsed) return parsed;
+  }
+
+  if (/<!DOCTYPE NETSCAPE-Bookmark-file/i.test(source) || /<a\s[^>]*href=/i.test(source)) {
+    return { kind: 'bookmarks', candidates: parseBookmarkHtml(source) };
+  }
+
+  return { kind: 'urls', candidates: parseUrlList(source) };
+}
+
+function parseJsonExport(source) {
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (_error) {
+    return null;
+  }
+
+  const items = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(items)) return null;
+  if (!Array.isArray(data) && data.schema && data.schema !== EXPORT_SCHEMA) return null;
+
+  const threads = !Array.isArray(data) && data.threads && typeof data.threads === 'object' ? data.threads : {};
+  const candidates = items
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => {
+      const item = sanitizeLibraryItem(entry);
+      const thread = item ? threads[item.tweetId] : null;
+      return {
+        url: item ? item.url : getCandidateUrl(entry),
+        title: null,
+        savedAt: typeof entry.savedAt === 'number' ? entry.savedAt : null,
+        item,
+        thread: thread && Array.isArray(thread.tweets) ? thread : null
+      };
+    });
+
+  return { kind: 'json', candidates };
+}
+
+// Entries without a tweet payload are fetched again, so their link only has
+// to resolve to a tweet id; startImport rejects anything that doesn't.
+function getCandidateUrl(entry) {
+  if (typeof entry.url === 'string' && entry.url) return entry.url;
+  return typeof entry.tweetId === 'string' ? `https://x.com/i/web/status/${entry.tweetId}` : '';
+}
+
+function parseBookmarkHtml(source) {
+  const candidates = [];
+  if (typeof DOMParser !== 'undefined') {
+    const doc = new DOMParser().parseFromString(source, 'text/html');
+    doc.querySelectorAll('a[href]').forEach((anchor) => {
+      candidates.push({
+        url: anchor.getAttribute('href') || '',
+        title: anchor.textContent?.trim() || null,
+        savedAt: parseBookmarkDate(anchor.getAttribute('add_date'))
+      });
+    });
+    return candidates;
+  }
+
+  const pattern = /<a\s[^>]*href="([^"]+)"[^>]*>([^<]*)<\/a>/gi;
+  for (const match of source.matchAll(pattern)) {
+    const dateMatch = match[0].match(/add_date="(\d+)"/i);
+    candidates.push({
+      url: match[1],
+      title: match[2].trim() || null,
+      savedAt: parseBookmarkDate(dateMatch?.[1])
+    });
+  }
+  return candidates;
+}
+
+function parseBookmarkDate(value) {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+function parseUrlList(source) {
+  return source
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const urlMatch = line.match(/https?:\/\/[^\s,;"'<>]+/i);
+      return {
+        url: urlMatch ? urlMatch[0] : line.split(/[\s,;]+/)[0],
+        title: null,
+        savedAt: null
+      };
+    });
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+// Validation for saved items that arrive from outside this device: JSON
+// imports on the client and sync mutations on the server. Only the tweet id
+// is trusted from the source; the URL is rebuilt from it so a shared file or
+// another device can't hand us a javascript: or off-site link.
+
+import { extractTweetId } from './url-resolver.js';
+
+export const MAX_TAG_LENGTH = 32;
+export const MAX_TAGS_PER_ITEM = 20;
+const MAX_HIGHLIGHTS_PER_ITEM = 500;
+const MAX_HIGHLIGHT_TEXT_LENGTH = 2000;
+const HANDLE_PATTERN = /^\w{1,15}$/;
+
+/**
+ * Returns `{ tweetId, url, tweet, savedAt, tags, highlights }` or null when
+ * the entry has no valid tweet id or tweet payload.
+ */
+export function sanitizeLibraryItem(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const tweetId = typeof entry.tweetId === 'string' ? extractTweetId(entry.tweetId) : null;
+  if (!tweetId) return null;
+  if (!entry.tweet || typeof entry.tweet !== 'object' || Array.isArray(entry.tweet)) return null;
+  return {
+    tweetId,
+    url: buildTweetUrl(tweetId, entry.tweet.author?.userName),
+    tweet: entry.tweet,
+    savedAt: typeof entry.savedAt === 'number' && Number.isFinite(entry.savedAt) ? entry.savedAt : Date.now(),
+    tags: normalizeTags(entry.tags),
+    highlights: Array.isArray(entry.highlights)
+      ? entry.highlights.map(sanitizeHighlight).filter(Boolean).slice(0, MAX_HIGHLIGHTS_PER_ITEM)
+      : []
+  };
+}
+
+export function buildTweetUrl(tweetId, handle) {
+  return HANDLE_PATTERN.test(handle || '')
+    ? `https://x.com/${handle}/status/${tweetId}`
+    : `https://x.com/i/web/status/${tweetId}`;
+}
+
+export function normalizeTag(value) {
+  return String(value || '')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, '-')
+    .toLowerCase()
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return Array.from(new Set(tags.filter((tag) => typeof tag === 'string').map(normalizeTag).filter(Boolean)))
+    .slice(0, MAX_TAGS_PER_ITEM);
+}
+
+export function sanitizeHighlight(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  if (typeof entry.id !== 'string' || typeof entry.tweetId !== 'string') return null;
+  if (!Number.isInteger(entry.start) || !Number.isInteger(entry.end) || entry.start < 0 || entry.end <= entry.start) return null;
+  return {
+    id: entry.id.slice(0, 64),
+    tweetId: entry.tweetId.slice(0, 32),
+    start: entry.start,
+    end: entry.end,
+    quote: typeof entry.quote === 'string' ? entry.quote.slice(0, MAX_HIGHLIGHT_TEXT_LENGTH) : '',
+    note: typeof entry.note === 'string' ? entry.note.slice(0, MAX_HIGHLIGHT_TEXT_LENGTH) : '',
+    createdAt: typeof entry.createdAt === 'number' ? entry.createdAt : Date.now()
+  };
+}
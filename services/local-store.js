@@ -0,0 +1,425 @@
+'use strict';
+
+// IndexedDB-backed persistence for saved items, cached threads and media
+// metadata. Only items the caller marks as changed (plus new and removed
+// ones) are written, so saving one item doesn't rewrite the whole library.
+// Falls back to the legacy localStorage keys when IndexedDB is unavailable
+// (private windows, old browsers).
+
+const DB_NAME = 'tweet-link-saver';
+const DB_VERSION = 1;
+const STORES = Object.freeze({
+  ITEMS: 'items',
+  THREADS: 'threads',
+  MEDIA: 'media',
+  META: 'meta'
+});
+const MIGRATION_KEY = 'legacy-migrated';
+
+const defaultStorageState = {
+  status: 'initializing',
+  backend: null,
+  error: null,
+  usage: null,
+  quota: null
+};
+
+let storageState = { ...defaultStorageState };
+const listeners = new Set();
+let db = null;
+let legacyKeys = { items: null, threads: null };
+let writeChain = Promise.resolve();
+const storedItemIds = new Set();
+const writtenThreads = new Map();
+
+// Writes issued before openLocalStore has picked a backend wait here. Writing
+// them straight to localStorage would replace the legacy library with
+// whatever happens to be in memory, right before it gets migrated.
+let storeOpened = false;
+let resolveStoreReady;
+const storeReady = new Promise((resolve) => {
+  resolveStoreReady = resolve;
+});
+
+/**
+ * Opens the database, migrates the legacy localStorage keys once and
+ * resolves `{ items, threads }` with everything stored.
+ */
+export async function openLocalStore({ itemsKey, threadsKey } = {}) {
+  legacyKeys = { items: itemsKey || null, threads: threadsKey || null };
+  try {
+    return await loadStore();
+  } finally {
+    storeOpened = true;
+    resolveStoreReady();
+  }
+}
+
+async function loadStore() {
+  try {
+    db = await openDatabase();
+  } catch (error) {
+    console.warn('[storage] IndexedDB unavailable, using localStorage', error);
+    db = null;
+  }
+
+  if (!db) {
+    const data = readLegacyData();
+    rememberWritten(data.items, data.threads);
+    setStorageState({ status: 'ready', backend: 'local-storage', error: null });
+    return data;
+  }
+
+  await migrateLegacyData();
+  const [items, threadRecords] = await Promise.all([
+    getAllRecords(STORES.ITEMS),
+    getAllRecords(STORES.THREADS)
+  ]);
+  const threads = {};
+  threadRecords.forEach(({ tweetId, ...entry }) => {
+    if (tweetId) threads[tweetId] = entry;
+  });
+  rememberWritten(items, threads);
+  setStorageState({ status: 'ready', backend: 'indexeddb', error: null });
+  requestPersistentStorage();
+  refreshStorageEstimate();
+  return { items, threads };
+}
+
+/**
+ * Stores `items` as the full library. Items are only rewritten when they are
+ * new or their id is in `changedIds`; stored items missing from `items` are
+ * deleted.
+ */
+export function saveItems(items = [], changedIds = []) {
+  if (!storeOpened) {
+    // The stored library isn't loaded yet, so nothing can be removed.
+    const pending = items.slice();
+    return storeReady.then(() => writeItems(pending, null, { upsertOnly: true }));
+  }
+  return writeItems(items, new Set(changedIds));
+}
+
+function writeItems(items, changed, { upsertOnly = false } = {}) {
+  if (!db) {
+    writeLegacy(legacyKeys.items, upsertOnly ? mergeLegacyItems(items) : items);
+    return Promise.resolve();
+  }
+
+  const upserts = [];
+  const nextIds = new Set();
+  items.forEach((item) => {
+    if (!item?.tweetId) return;
+    nextIds.add(item.tweetId);
+    if (changed && storedItemIds.has(item.tweetId) && !changed.has(item.tweetId)) return;
+    storedItemIds.add(item.tweetId);
+    upserts.push(item);
+  });
+  const removals = upsertOnly
+    ? []
+    : Array.from(storedItemIds).filter((tweetId) => !nextIds.has(tweetId));
+  removals.forEach((tweetId) => storedItemIds.delete(tweetId));
+
+  if (upserts.length === 0 && removals.length === 0) return writeChain;
+  return enqueueWrite([STORES.ITEMS], (tx) => {
+    const store = tx.objectStore(STORES.ITEMS);
+    upserts.forEach((item) => store.put(item));
+    removals.forEach((tweetId) => store.delete(tweetId));
+  });
+}
+
+// Thread payloads are large, so change detection looks at object identity
+// and a few cheap fields instead of serializing every thread on each save.
+export function saveThreads(threads = {}) {
+  if (!storeOpened) {
+    const pending = { ...threads };
+    return storeReady.then(() => writeThreads(pending, { upsertOnly: true }));
+  }
+  return writeThreads(threads);
+}
+
+function writeThreads(threads, { upsertOnly = false } = {}) {
+  if (!db) {
+    writeLegacy(legacyKeys.threads, upsertOnly ? { ...readLegacyData().threads, ...threads } : threads);
+    return Promise.resolve();
+  }
+
+  const upserts = [];
+  const nextIds = new Set(Object.keys(threads));
+  Object.entries(threads).forEach(([tweetId, entry]) => {
+    const fingerprint = getThreadFingerprint(entry);
+    const previous = writtenThreads.get(tweetId);
+    const unchanged = previous
+      && previous.fingerprint === fingerprint
+      && (previous.entry === entry || previous.entry?.tweets === entry?.tweets);
+    if (unchanged) return;
+    writtenThreads.set(tweetId, { entry, fingerprint });
+    upserts.push({ ...entry, tweetId });
+  });
+  const removals = upsertOnly
+    ? []
+    : Array.from(writtenThreads.keys()).filter((tweetId) => !nextIds.has(tweetId));
+  removals.forEach((tweetId) => writtenThreads.delete(tweetId));
+
+  if (upserts.length === 0 && removals.length === 0) return writeChain;
+  return enqueueWrite([STORES.THREADS], (tx) => {
+    const store = tx.objectStore(STORES.THREADS);
+    upserts.forEach((entry) => store.put(entry));
+    removals.forEach((tweetId) => store.delete(tweetId));
+  });
+}
+
+/**
+ * Replaces the media metadata recorded for a saved tweet. Records are
+ * `{ key, tweetId, type, url, width, height, altText, videoUrl }` plus
+ * `archivedUrl`/`archivedVideoUrl` once the server holds a copy.
+ */
+export function saveMediaMetadata(tweetId, records = []) {
+  if (!storeOpened) return storeReady.then(() => saveMediaMetadata(tweetId, records));
+  if (!db || !tweetId) return Promise.resolve();
+  return enqueueWrite([STORES.MEDIA], (tx) => {
+    const store = tx.objectStore(STORES.MEDIA);
+    deleteByTweetId(store, tweetId, () => {
+      records.forEach((record) => {
+        if (record?.key) store.put({ ...record, tweetId });
+      });
+    });
+  });
+}
+
+export function deleteMediaMetadata(tweetId) {
+  if (!storeOpened) return storeReady.then(() => deleteMediaMetadata(tweetId));
+  if (!db || !tweetId) return Promise.resolve();
+  return enqueueWrite([STORES.MEDIA], (tx) => {
+    deleteByTweetId(tx.objectStore(STORES.MEDIA), tweetId);
+  });
+}
+
+export async function getAllMediaMetadata() {
+  if (!db) return [];
+  return getAllRecords(STORES.MEDIA);
+}
+
+export async function getMediaMetadata(tweetId) {
+  if (!db || !tweetId) return [];
+  const tx = db.transaction(STORES.MEDIA, 'readonly');
+  return requestToPromise(tx.objectStore(STORES.MEDIA).index('tweetId').getAll(tweetId));
+}
+
+export function subscribeToStorageChanges(listener) {
+  if (typeof listener !== 'function') return () => {};
+  listeners.add(listener);
+  listener(getStorageState());
+  return () => listeners.delete(listener);
+}
+
+export function getStorageState() {
+  return { ...storageState };
+}
+
+export async function refreshStorageEstimate() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    setStorageState({
+      usage: typeof usage === 'number' ? usage : null,
+      quota: typeof quota === 'number' ? quota : null
+    });
+  } catch (_error) {
+    // Estimates are informational only.
+  }
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported.'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(STORES.ITEMS)) {
+        database.createObjectStore(STORES.ITEMS, { keyPath: 'tweetId' });
+      }
+      if (!database.objectStoreNames.contains(STORES.THREADS)) {
+        database.createObjectStore(STORES.THREADS, { keyPath: 'tweetId' });
+      }
+      if (!database.objectStoreNames.contains(STORES.MEDIA)) {
+        const media = database.createObjectStore(STORES.MEDIA, { keyPath: 'key' });
+        media.createIndex('tweetId', 'tweetId', { unique: false });
+      }
+      if (!database.objectStoreNames.contains(STORES.META)) {
+        database.createObjectStore(STORES.META);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab.'));
+  });
+}
+
+async function migrateLegacyData() {
+  const tx = db.transaction(STORES.META, 'readonly');
+  const migrated = await requestToPromise(tx.objectStore(STORES.META).get(MIGRATION_KEY));
+  if (migrated) return;
+
+  const { items, threads } = readLegacyData();
+  const migratedLegacy = await enqueueWrite([STORES.ITEMS, STORES.THREADS, STORES.META], (writeTx) => {
+    const itemStore = writeTx.objectStore(STORES.ITEMS);
+    const threadStore = writeTx.objectStore(STORES.THREADS);
+    items.forEach((item) => itemStore.put(item));
+    Object.entries(threads).forEach(([tweetId, entry]) => threadStore.put({ ...entry, tweetId }));
+    writeTx.objectStore(STORES.META).put(Date.now(), MIGRATION_KEY);
+  });
+  if (!migratedLegacy) return;
+
+  try {
+    if (legacyKeys.items) localStorage.removeItem(legacyKeys.items);
+    if (legacyKeys.threads) localStorage.removeItem(legacyKeys.threads);
+  } catch (_error) {
+    // Leaving the legacy copy behind is harmless once the flag is set.
+  }
+}
+
+function readLegacyData() {
+  const items = readLegacyJson(legacyKeys.items);
+  const threads = readLegacyJson(legacyKeys.threads);
+  return {
+    items: Array.isArray(items) ? items.filter((entry) => entry && typeof entry === 'object' && entry.tweetId) : [],
+    threads: threads && typeof threads === 'object' && !Array.isArray(threads) ? threads : {}
+  };
+}
+
+function readLegacyJson(key) {
+  if (!key || typeof localStorage === 'undefined') return null;
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error('[storage] Failed to read legacy data', key, error);
+    return null;
+  }
+}
+
+function mergeLegacyItems(items) {
+  const ids = new Set(items.map((item) => item?.tweetId));
+  return [...items, ...readLegacyData().items.filter((item) => !ids.has(item.tweetId))];
+}
+
+function writeLegacy(key, value) {
+  if (!key) return;
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    if (storageState.status !== 'ready') {
+      setStorageState({ status: 'ready', error: null });
+    }
+  } catch (error) {
+    handleWriteError(error);
+  }
+}
+
+function rememberWritten(items, threads) {
+  storedItemIds.clear();
+  writtenThreads.clear();
+  items.forEach((item) => {
+    if (item?.tweetId) storedItemIds.add(item.tweetId);
+  });
+  Object.entries(threads).forEach(([tweetId, entry]) => {
+    writtenThreads.set(tweetId, { entry, fingerprint: getThreadFingerprint(entry) });
+  });
+}
+
+function getThreadFingerprint(entry) {
+  return [
+    entry?.tweets?.length || 0,
+    entry?.fetchedAt || 0,
+    entry?.nextCursor || '',
+    entry?.newPosts || 0
+  ].join(':');
+}
+
+// Transactions are chained so a failed write can't interleave with the next
+// one; every failure is reported through the storage state. Resolves to
+// whether the write committed.
+function enqueueWrite(storeNames, work) {
+  const run = () => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, 'readwrite');
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted.'));
+    work(tx);
+  });
+
+  writeChain = writeChain
+    .then(run)
+    .then(() => {
+      if (storageState.status !== 'ready') {
+        setStorageState({ status: 'ready', error: null });
+      }
+      return true;
+    })
+    .catch((error) => {
+      handleWriteError(error);
+      return false;
+    });
+  return writeChain;
+}
+
+function handleWriteError(error) {
+  const isQuota = error?.name === 'QuotaExceededError'
+    || error?.code === 22
+    || /quota/i.test(error?.message || '');
+  console.error('[storage] Write failed', error);
+  setStorageState({
+    status: isQuota ? 'quota-exceeded' : 'error',
+    error: isQuota
+      ? 'Browser storage is full. Recent changes were not saved on this device.'
+      : 'Unable to save changes on this device.'
+  });
+  refreshStorageEstimate();
+}
+
+function deleteByTweetId(store, tweetId, onDone) {
+  const request = store.index('tweetId').openKeyCursor(IDBKeyRange.only(tweetId));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    } else if (onDone) {
+      onDone();
+    }
+  };
+}
+
+function getAllRecords(storeName) {
+  const tx = db.transaction(storeName, 'readonly');
+  return requestToPromise(tx.objectStore(storeName).getAll());
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function requestPersistentStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.persist) return;
+  navigator.storage.persisted?.()
+    .then((persisted) => (persisted ? true : navigator.storage.persist()))
+    .catch(() => {});
+}
+
+function setStorageState(updates) {
+  storageState = { ...storageState, ...updates };
+  const snapshot = getStorageState();
+  listeners.forEach((listener) => {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      console.error('[storage] listener failed', error);
+    }
+  });
+}
@@ -0,0 +1,16 @@
+'use strict';
+
+// Last-writer-wins ordering for synced library records. Shared by the client
+// sync queue and the server's mutation endpoint so both pick the same winner.
+
+/**
+ * Orders two versions of the same item. Later `updatedAt` wins; on a tie a
+ * deletion beats a save, then the device id breaks the tie so every device
+ * (and the server) picks the same winner.
+ */
+export function compareVersions(a, b) {
+  const diff = (a?.updatedAt || 0) - (b?.updatedAt || 0);
+  if (diff !== 0) return diff;
+  if (!!a?.deleted !== !!b?.deleted) return a?.deleted ? 1 : -1;
+  return String(a?.deviceId || '').localeCompare(String(b?.deviceId || ''));
+}
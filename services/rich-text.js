@@ -0,0 +1,98 @@
+'use strict';
+
+// Splits tweet text into plain and linked tokens. Only mentions, hashtags and
+// cashtags listed in the tweet's `entities` are linked; their indices are
+// ignored because callers strip links from the text first, so each entity is
+// matched by its text instead.
+//
+// Tokens cover the whole input: { type, text, start, end, href? } where type
+// is 'text', 'mention', 'hashtag' or 'cashtag'.
+
+const NAMED_ENTITIES = Object.freeze({
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+});
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+export function decodeHtmlEntities(text) {
+  if (!text || !text.includes('&')) return text || '';
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X'
+        ? Number.parseInt(name.slice(2), 16)
+        : Number.parseInt(name.slice(1), 10);
+      return Number.isInteger(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+export function tokenizeTweetText(text, entities) {
+  const source = text || '';
+  const pattern = buildEntityPattern(entities);
+  if (!source || !pattern) {
+    return source ? [{ type: 'text', text: source, start: 0, end: source.length }] : [];
+  }
+
+  const tokens = [];
+  let cursor = 0;
+  for (const match of source.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (start > cursor) {
+      tokens.push({ type: 'text', text: source.slice(cursor, start), start: cursor, end: start });
+    }
+    tokens.push({ ...describeToken(match[0]), text: match[0], start, end });
+    cursor = end;
+  }
+  if (cursor < source.length) {
+    tokens.push({ type: 'text', text: source.slice(cursor), start: cursor, end: source.length });
+  }
+  return tokens;
+}
+
+function buildEntityPattern(entities) {
+  if (!entities || typeof entities !== 'object') return null;
+  const names = collectValues(entities.user_mentions, (entry) => entry.screen_name || entry.screenName || entry.username);
+  const hashtags = collectValues(entities.hashtags, (entry) => entry.text || entry.tag);
+  const symbols = collectValues(entities.symbols || entities.cashtags, (entry) => entry.text || entry.tag);
+
+  const alternatives = [];
+  if (names.length) alternatives.push(`[@＠](?:${names.join('|')})`);
+  if (hashtags.length) alternatives.push(`[#＃](?:${hashtags.join('|')})`);
+  if (symbols.length) alternatives.push(`\\$(?:${symbols.join('|')})`);
+  if (alternatives.length === 0) return null;
+
+  return new RegExp(`(?<!${WORD_CHAR})(?:${alternatives.join('|')})(?!${WORD_CHAR})`, 'giu');
+}
+
+function collectValues(list, pick) {
+  if (!Array.isArray(list)) return [];
+  const values = new Set();
+  list.forEach((entry) => {
+    const value = entry && pick(entry);
+    if (typeof value === 'string' && value.trim()) values.add(escapeRegExp(value.trim()));
+  });
+  // Longest first so "@ab" doesn't win over "@abc".
+  return Array.from(values).sort((a, b) => b.length - a.length);
+}
+
+function describeToken(value) {
+  const body = value.slice(1);
+  if (value[0] === '$') {
+    return { type: 'cashtag', href: `https://x.com/search?q=${encodeURIComponent(`$${body}`)}&src=cashtag_click` };
+  }
+  if (value[0] === '#' || value[0] === '＃') {
+    return { type: 'hashtag', href: `https://x.com/hashtag/${encodeURIComponent(body)}` };
+  }
+  return { type: 'mention', href: `https://x.com/${encodeURIComponent(body)}` };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,171 @@
+'use strict';
+
+// Inverted index over saved tweets. Documents are re-indexed one at a time as
+// items and threads change, so a keystroke only walks the term dictionary.
+
+const MIN_TERM_LENGTH = 1;
+
+const postings = new Map();
+const documentTerms = new Map();
+let sortedTerms = [];
+let termsDirty = false;
+
+export function tokenize(text) {
+  if (!text) return [];
+  const matches = foldText(String(text)).match(/[\p{L}\p{N}_]+/gu);
+  if (!matches) return [];
+  return matches.filter((term) => term.length >= MIN_TERM_LENGTH);
+}
+
+/**
+ * Returns `{ start, end }` ranges of `text` where a word starts with one of
+ * `terms`. Matching runs on the same folded form the index uses, so "cafe"
+ * finds "Café"; offsets point back into the original text.
+ */
+export function findTermRanges(text, terms) {
+  if (!text || !Array.isArray(terms) || terms.length === 0) return [];
+  const alternatives = Array.from(new Set(terms))
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  if (!alternatives) return [];
+
+  const { folded, starts, ends } = foldWithOffsets(String(text));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})`, 'gu');
+  const ranges = [];
+  for (const match of folded.matchAll(pattern)) {
+    ranges.push({ start: starts[match.index], end: ends[match.index + match[0].length - 1] });
+  }
+  return ranges;
+}
+
+export function indexDocument(id, text) {
+  if (!id) return;
+  removeDocument(id);
+  const terms = new Set(tokenize(text));
+  if (terms.size === 0) return;
+  terms.forEach((term) => {
+    let ids = postings.get(term);
+    if (!ids) {
+      ids = new Set();
+      postings.set(term, ids);
+      termsDirty = true;
+    }
+    ids.add(id);
+  });
+  documentTerms.set(id, terms);
+}
+
+export function removeDocument(id) {
+  const terms = documentTerms.get(id);
+  if (!terms) return;
+  terms.forEach((term) => {
+    const ids = postings.get(term);
+    if (!ids) return;
+    ids.delete(id);
+    if (ids.size === 0) {
+      postings.delete(term);
+      termsDirty = true;
+    }
+  });
+  documentTerms.delete(id);
+}
+
+export function clearIndex() {
+  postings.clear();
+  documentTerms.clear();
+  sortedTerms = [];
+  termsDirty = false;
+}
+
+/**
+ * Returns the ids of documents containing every query term, treating each
+ * term as a prefix. Returns null for an empty query so callers can tell
+ * "no filter" apart from "no matches".
+ */
+export function searchDocuments(query) {
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  if (queryTerms.length === 0) return null;
+
+  let results = null;
+  for (const term of queryTerms) {
+    const matches = collectPrefixMatches(term);
+    if (results === null) {
+      results = matches;
+    } else {
+      results = new Set(Array.from(results).filter((id) => matches.has(id)));
+    }
+    if (results.size === 0) break;
+  }
+  return results || new Set();
+}
+
+function foldText(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Folds one code point at a time and records where each folded character came
+// from. Characters that fold away (combining marks) extend the previous
+// character's range so a match keeps its accents.
+function foldWithOffsets(text) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+  for (const char of text) {
+    const part = foldText(char);
+    const end = index + char.length;
+    if (part) {
+      for (let i = 0; i < part.length; i += 1) {
+        starts.push(index);
+        ends.push(end);
+      }
+      folded += part;
+    } else if (ends.length > 0) {
+      ends[ends.length - 1] = end;
+    }
+    index = end;
+  }
+  return { folded, starts, ends };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function collectPrefixMatches(prefix) {
+  const matches = new Set();
+  const terms = getSortedTerms();
+  let index = lowerBound(terms, prefix);
+  while (index < terms.length && terms[index].startsWith(prefix)) {
+    postings.get(terms[index])?.forEach((id) => matches.add(id));
+    index += 1;
+  }
+  return matches;
+}
+
+function getSortedTerms() {
+  if (termsDirty) {
+    sortedTerms = Array.from(postings.keys()).sort();
+    termsDirty = false;
+  }
+  return sortedTerms;
+}
+
+function lowerBound(list, value) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (list[mid] < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
@@ -1,13 +1,35 @@
 'use strict';
 
+import { compareVersions } from './record-version.js';
+import { fetchRemoteItems, pushRemoteMutations } from './user-store.js';
+
 const defaultSyncState = {
   status: 'disabled',
   lastSyncedAt: null,
   pending: 0,
+  conflicts: [],
   error: null
 };
 
+const QUEUE_STORAGE_KEY = 'tweet-link-saver-sync-queue';
+const META_STORAGE_KEY = 'tweet-link-saver-sync-meta';
+const DEVICE_STORAGE_KEY = 'tweet-link-saver-device-id';
+const FLUSH_DELAY_MS = 1000;
+const FLUSH_BATCH_SIZE = 25;
+
+const defaultHooks = {
+  getItems: () => [],
+  applyRemoteChanges: () => {}
+};
+
 let syncStateRef = null;
+let syncHooks = { ...defaultHooks };
+let syncMeta = { userId: null, lastSyncedAt: null, tombstones: {} };
+let deviceId = null;
+let activeUserId = null;
+let flushTimer = null;
+let syncInFlight = null;
+let rerunRequested = false;
 const subscribers = new Set();
 const mutationQueue = [];
 
@@ -22,13 +44,24 @@ function notifySubscribers() {
   });
 }
 
-export function setupSyncLayer(state) {
+export function setupSyncLayer(state, hooks = {}) {
   if (!state.sync) {
     state.sync = { ...defaultSyncState };
   } else {
     Object.assign(state.sync, defaultSyncState);
   }
   syncStateRef = state.sync;
+  syncHooks = { ...defaultHooks, ...hooks };
+  restoreQueue();
+  restoreMeta();
+  syncStateRef.lastSyncedAt = syncMeta.lastSyncedAt;
+  syncStateRef.pending = mutationQueue.length;
+  syncStateRef.conflicts = [];
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => scheduleFlush(0));
+  }
+
   notifySubscribers();
   return syncStateRef;
 }
@@ -37,6 +70,7 @@ export function handleAuthStateChange(authState = {}) {
   if (!syncStateRef) return;
 
   if (!authState.available) {
+    activeUserId = null;
     Object.assign(syncStateRef, {
       status: 'disabled',
       error: null
@@ -45,14 +79,19 @@ export function handleAuthStateChange(authState = {}) {
     return;
   }
 
+  const previousUserId = activeUserId;
+  activeUserId = authState.status === 'signed-in' ? authState.user?.uid || null : null;
+
   switch (authState.status) {
     case 'initializing':
       syncStateRef.status = 'initializing';
       syncStateRef.error = null;
       break;
     case 'signed-in':
-      syncStateRef.status = 'idle';
-      syncStateRef.error = null;
+      if (syncStateRef.status !== 'syncing') {
+        syncStateRef.status = 'idle';
+        syncStateRef.error = null;
+      }
       break;
     case 'link-sent':
       syncStateRef.status = 'awaiting-confirmation';
@@ -72,17 +111,357 @@ export function handleAuthStateChange(authState = {}) {
   }
 
   notifySubscribers();
+
+  if (activeUserId && activeUserId !== previousUserId) {
+    if (syncMeta.userId !== activeUserId) {
+      syncMeta = { userId: activeUserId, lastSyncedAt: null, tombstones: {} };
+      syncStateRef.lastSyncedAt = null;
+      persistMeta();
+    }
+    syncNow();
+  }
 }
 
-export function queueSaveMutation(tweetPayload) {
-  mutationQueue.push({ type: 'save', payload: tweetPayload, createdAt: Date.now() });
-  updatePendingCount();
+export function queueSaveMutation(item) {
+  if (!item?.tweetId || item.isPending) return;
+  const updatedAt = typeof item.updatedAt === 'number' ? item.updatedAt : Date.now();
+  delete syncMeta.tombstones[item.tweetId];
+  persistMeta();
+  enqueueMutation({
+    type: 'save',
+    tweetId: item.tweetId,
+    item: toSyncItem(item),
+    updatedAt,
+    createdAt: Date.now()
+  });
 }
 
 export function queueDeleteMutation(tweetId) {
   if (!tweetId) return;
-  mutationQueue.push({ type: 'delete', tweetId, createdAt: Date.now() });
+  const deletedAt = Date.now();
+  syncMeta.tombstones[tweetId] = { updatedAt: deletedAt, deviceId: getDeviceId() };
+  persistMeta();
+  enqueueMutation({ type: 'delete', tweetId, updatedAt: deletedAt, createdAt: deletedAt });
+}
+
+export function isDeletedRemotely(tweetId) {
+  const tombstone = tweetId ? syncMeta.tombstones[tweetId] : null;
+  return !!tombstone && tombstone.deviceId !== getDeviceId();
+}
+
+export function syncNow({ pull = true } = {}) {
+  if (!syncStateRef || !activeUserId) return Promise.resolve(false);
+  if (syncInFlight) {
+    rerunRequested = true;
+    return syncInFlight;
+  }
+
+  clearFlushTimer();
+  syncInFlight = (async () => {
+    syncStateRef.status = 'syncing';
+    syncStateRef.error = null;
+    syncStateRef.conflicts = [];
+    notifySubscribers();
+    try {
+      await flushMutations();
+      if (pull) {
+        await pullRemoteChanges();
+      }
+      syncStateRef.status = 'idle';
+      return true;
+    } catch (error) {
+      console.warn('[sync] Sync failed', error);
+      syncStateRef.status = 'error';
+      syncStateRef.error = error?.message || 'Unable to sync.';
+      return false;
+    } finally {
+      syncInFlight = null;
+      updatePendingCount();
+      if (rerunRequested) {
+        rerunRequested = false;
+        if (mutationQueue.length > 0 && syncStateRef.status !== 'error') {
+          scheduleFlush(0);
+        }
+      }
+    }
+  })();
+
+  return syncInFlight;
+}
+
+function isSameVersion(a, b) {
+  return (a?.updatedAt || 0) === (b?.updatedAt || 0)
+    && !!a?.deleted === !!b?.deleted
+    && String(a?.deviceId || '') === String(b?.deviceId || '');
+}
+
+function getQueuedVersion(mutation) {
+  return {
+    updatedAt: mutation.updatedAt || mutation.createdAt || 0,
+    deviceId: getDeviceId(),
+    deleted: mutation.type === 'delete'
+  };
+}
+
+function getLocalVersion(item) {
+  return {
+    updatedAt: item.updatedAt || item.savedAt || 0,
+    deviceId: item.deviceId || getDeviceId(),
+    deleted: false
+  };
+}
+
+function enqueueMutation(mutation) {
+  for (let index = mutationQueue.length - 1; index >= 0; index -= 1) {
+    if (mutationQueue[index].tweetId === mutation.tweetId) {
+      mutationQueue.splice(index, 1);
+    }
+  }
+  mutationQueue.push(mutation);
+  persistQueue();
   updatePendingCount();
+  scheduleFlush();
+}
+
+function removeQueuedMutation(mutation) {
+  const index = mutationQueue.indexOf(mutation);
+  if (index === -1) return;
+  mutationQueue.splice(index, 1);
+  persistQueue();
+}
+
+function scheduleFlush(delay = FLUSH_DELAY_MS) {
+  if (!activeUserId || mutationQueue.length === 0) return;
+  clearFlushTimer();
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    syncNow({ pull: false });
+  }, delay);
+}
+
+function clearFlushTimer() {
+  if (!flushTimer) return;
+  clearTimeout(flushTimer);
+  flushTimer = null;
+}
+
+async function flushMutations() {
+  while (mutationQueue.length > 0) {
+    const batch = mutationQueue.slice(0, FLUSH_BATCH_SIZE);
+    const result = await pushRemoteMutations(batch.map(toWireMutation));
+
+    const sent = new Set(batch);
+    for (let index = mutationQueue.length - 1; index >= 0; index -= 1) {
+      if (sent.has(mutationQueue[index])) {
+        mutationQueue.splice(index, 1);
+      }
+    }
+    persistQueue();
+    updatePendingCount();
+
+    const staleRecords = Array.isArray(result?.conflicts) ? result.conflicts : [];
+    if (staleRecords.length > 0) {
+      const sentById = new Map(batch.map((mutation) => [mutation.tweetId, mutation]));
+      const winners = staleRecords.filter((record) => {
+        const mutation = sentById.get(record?.tweetId);
+        return mutation && !isSameVersion(record, getQueuedVersion(mutation));
+      });
+      winners.forEach((record) => recordConflict(record.tweetId, 'remote'));
+      applyRemoteRecords(winners);
+    }
+  }
+}
+
+async function pullRemoteChanges() {
+  const since = syncMeta.lastSyncedAt;
+  const { items, tombstones, serverTime } = await fetchRemoteItems({ since });
+  const records = [
+    ...items,
+    ...tombstones.map((entry) => ({ ...entry, deleted: true }))
+  ].filter((record) => record?.tweetId);
+
+  const queuedById = new Map(mutationQueue.map((mutation) => [mutation.tweetId, mutation]));
+  const accepted = [];
+
+  records.forEach((remote) => {
+    const queued = queuedById.get(remote.tweetId);
+    if (!queued) {
+      accepted.push(remote);
+      return;
+    }
+    if (compareVersions(remote, getQueuedVersion(queued)) > 0) {
+      removeQueuedMutation(queued);
+      recordConflict(remote.tweetId, 'remote');
+      accepted.push(remote);
+    } else if ((remote.receivedAt || 0) >= (since || 0)) {
+      recordConflict(remote.tweetId, 'local');
+    }
+  });
+
+  applyRemoteRecords(accepted);
+
+  if (!since) {
+    const remoteById = new Map(records.map((record) => [record.tweetId, record]));
+    const queuedIds = new Set(mutationQueue.map((mutation) => mutation.tweetId));
+    const localItems = (syncHooks.getItems() || []).filter((item) => item?.tweetId && !item.isPending);
+    localItems.forEach((item) => {
+      if (queuedIds.has(item.tweetId)) return;
+      const remote = remoteById.get(item.tweetId);
+      if (remote && !(remote.deleted && compareVersions(getLocalVersion(item), remote) > 0)) return;
+      queueSaveMutation(item);
+    });
+  }
+
+  syncMeta.lastSyncedAt = serverTime;
+  syncStateRef.lastSyncedAt = serverTime;
+  persistMeta();
+
+  if (mutationQueue.length > 0) {
+    await flushMutations();
+    clearFlushTimer();
+  }
+}
+
+function applyRemoteRecords(records = []) {
+  if (!records.length) return;
+  const localById = new Map(
+    (syncHooks.getItems() || [])
+      .filter((item) => item?.tweetId && !item.isPending)
+      .map((item) => [item.tweetId, item])
+  );
+
+  const upserts = [];
+  const removals = [];
+
+  records.forEach((remote) => {
+    const local = localById.get(remote.tweetId);
+    if (remote.deleted) {
+      syncMeta.tombstones[remote.tweetId] = {
+        updatedAt: remote.updatedAt || 0,
+        deviceId: remote.deviceId || null
+      };
+      if (local && compareVersions(remote, getLocalVersion(local)) > 0) {
+        removals.push(remote.tweetId);
+      }
+      return;
+    }
+
+    delete syncMeta.tombstones[remote.tweetId];
+    if (!local || compareVersions(remote, getLocalVersion(local)) > 0) {
+      upserts.push({
+        ...toSyncItem(remote),
+        updatedAt: remote.updatedAt || remote.savedAt || 0,
+        deviceId: remote.deviceId || null
+      });
+    }
+  });
+
+  persistMeta();
+  if (upserts.length > 0 || removals.length > 0) {
+    syncHooks.applyRemoteChanges({ upserts, removals });
+  }
+}
+
+function recordConflict(tweetId, resolution) {
+  if (!syncStateRef) return;
+  if (!Array.isArray(syncStateRef.conflicts)) {
+    syncStateRef.conflicts = [];
+  }
+  syncStateRef.conflicts.push({ tweetId, resolution, resolvedAt: Date.now() });
+}
+
+function getDeviceId() {
+  if (deviceId) return deviceId;
+  try {
+    deviceId = localStorage.getItem(DEVICE_STORAGE_KEY);
+    if (!deviceId) {
+      deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `device-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+      localStorage.setItem(DEVICE_STORAGE_KEY, deviceId);
+    }
+  } catch (_error) {
+    deviceId = deviceId || `device-${Date.now()}`;
+  }
+  return deviceId;
+}
+
+function toSyncItem(item) {
+  return {
+    tweetId: item.tweetId,
+    url: item.url,
+    tweet: item.tweet,
+    savedAt: item.savedAt,
+    tags: Array.isArray(item.tags) ? item.tags : [],
+    highlights: Array.isArray(item.highlights) ? item.highlights : []
+  };
+}
+
+function toWireMutation(mutation) {
+  const version = {
+    updatedAt: mutation.updatedAt || mutation.createdAt,
+    deviceId: getDeviceId()
+  };
+  if (mutation.type === 'save') {
+    return { type: 'save', item: mutation.item, ...version };
+  }
+  return { type: 'delete', tweetId: mutation.tweetId, ...version };
+}
+
+function restoreQueue() {
+  mutationQueue.length = 0;
+  try {
+    const raw = localStorage.getItem(QUEUE_STORAGE_KEY);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return;
+    parsed.forEach((entry) => {
+      if (!entry || !entry.tweetId) return;
+      if (entry.type === 'save' && entry.item) {
+        mutationQueue.push(entry);
+      } else if (entry.type === 'delete') {
+        mutationQueue.push(entry);
+      }
+    });
+  } catch (error) {
+    console.warn('[sync] Unable to restore pending changes', error);
+  }
+}
+
+function persistQueue() {
+  try {
+    if (mutationQueue.length === 0) {
+      localStorage.removeItem(QUEUE_STORAGE_KEY);
+      return;
+    }
+    localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(mutationQueue));
+  } catch (error) {
+    console.warn('[sync] Unable to persist pending changes', error);
+  }
+}
+
+function restoreMeta() {
+  try {
+    const raw = localStorage.getItem(META_STORAGE_KEY);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object') return;
+    syncMeta = {
+      userId: parsed.userId || null,
+      lastSyncedAt: typeof parsed.lastSyncedAt === 'number' ? parsed.lastSyncedAt : null,
+      tombstones: parsed.tombstones && typeof parsed.tombstones === 'object' ? parsed.tombstones : {}
+    };
+  } catch (error) {
+    console.warn('[sync] Unable to restore sync metadata', error);
+  }
+}
+
+function persistMeta() {
+  try {
+    localStorage.setItem(META_STORAGE_KEY, JSON.stringify(syncMeta));
+  } catch (error) {
+    console.warn('[sync] Unable to persist sync metadata', error);
+  }
 }
 
 function updatePendingCount() {
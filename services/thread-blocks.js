@@ -0,0 +1,377 @@
+'use strict';
+
+// The block model behind the reader, Markdown, HTML and EPUB views. A saved
+// item plus its cached thread tweets becomes an ordered list of blocks:
+//   { type: 'text', text, tweetId, offset, tokens }
+//   { type: 'author', tweetId, author }     a reply by someone else follows
+//   { type: 'link-card', link }
+//   { type: 'media', items }
+//   { type: 'quote', tweetId, url, tweet, blocks }
+
+import { decodeHtmlEntities, tokenizeTweetText } from './rich-text.js';
+
+/**
+ * Builds the export-ready view of a saved item: display metadata plus its
+ * blocks, with the best video variant resolved on every media entry.
+ */
+export function buildThreadEntry(item, threadTweets = [], { includeReplies = false } = {}) {
+  const tweets = buildThreadSequence(item.tweet, threadTweets, { includeReplies });
+  return {
+    tweetId: item.tweetId,
+    title: decodeHtmlEntities(getTweetText(item.tweet) || '').split(/\r?\n/)[0].slice(0, 120),
+    author: item.tweet?.author?.name || '',
+    handle: item.tweet?.author?.userName || '',
+    url: item.url,
+    createdAt: getTweetTimestamp(tweets[0] || item.tweet),
+    savedAt: item.savedAt,
+    tags: item.tags,
+    blocks: composeThreadContentBlocks(tweets).map(resolveVideoUrls)
+  };
+}
+
+export function buildThreadSequence(rootTweet, fetchedTweets = [], { includeReplies = false } = {}) {
+  const entries = [];
+  const seen = new Set();
+  let sequence = 0;
+  const rootAuthorKeys = getAuthorKeys(rootTweet);
+
+  const pushTweet = (tweet, { allowAnyAuthor = false } = {}) => {
+    if (!tweet || typeof tweet !== 'object') return;
+    const id = getTweetId(tweet);
+    if (!id || seen.has(id)) return;
+    seen.add(id);
+
+    if (!allowAnyAuthor && !includeReplies && rootAuthorKeys.size > 0) {
+      const authorKeys = getAuthorKeys(tweet);
+      const isSameAuthor = Array.from(authorKeys).some((key) => rootAuthorKeys.has(key));
+      if (!isSameAuthor) return;
+    }
+
+    const timestamp = getTweetTimestamp(tweet);
+    entries.push({
+      tweet,
+      hasTimestamp: timestamp !== null,
+      timestamp: timestamp ?? 0,
+      sequence: sequence++
+    });
+  };
+
+  pushTweet(rootTweet, { allowAnyAuthor: true });
+  if (Array.isArray(fetchedTweets)) {
+    fetchedTweets.forEach((item) => pushTweet(item));
+  }
+
+  entries.sort((a, b) => {
+    if (a.hasTimestamp && b.hasTimestamp) {
+      return a.timestamp - b.timestamp;
+    }
+    if (a.hasTimestamp) return -1;
+    if (b.hasTimestamp) return 1;
+    return a.sequence - b.sequence;
+  });
+
+  return entries.map((entry) => entry.tweet);
+}
+
+/**
+ * Flattens tweets into text, link-card, media and quote blocks. Tweets by
+ * someone other than the first tweet's author are introduced by an `author`
+ * block. Quoted tweets are composed one level deep (`nested` skips them).
+ */
+export function composeThreadContentBlocks(tweets = [], { nested = false } = {}) {
+  const blocks = [];
+  const leadAuthorKeys = getAuthorKeys(tweets[0]);
+  tweets.forEach((tweet, index) => {
+    if (!tweet || typeof tweet !== 'object') return;
+    const text = decodeHtmlEntities(getTweetText(tweet));
+    const entities = getTweetEntities(tweet);
+    const quoted = nested ? null : getQuotedTweet(tweet);
+    const quotedId = getTweetId(quoted);
+    const links = extractLinksFromTweet(tweet);
+
+    if (index > 0 && leadAuthorKeys.size > 0 && !Array.from(getAuthorKeys(tweet)).some((key) => leadAuthorKeys.has(key))) {
+      blocks.push({ type: 'author', tweetId: getTweetId(tweet), author: tweet.author || tweet.user || null });
+    }
+
+    let processedText = text;
+    links.forEach((link) => {
+      const candidates = [link.url, link.expandedUrl, link.expanded_url];
+      candidates.forEach((value) => {
+        if (!value) return;
+        const regexp = new RegExp(escapeRegExp(value), 'g');
+        processedText = processedText.replace(regexp, '').trim();
+      });
+    });
+
+    const paragraphs = processedText
+      .split(/\n{2,}/)
+      .map((chunk) => chunk.trim())
+      .filter(Boolean);
+
+    if (paragraphs.length === 0 && processedText.trim()) {
+      paragraphs.push(processedText.trim());
+    }
+
+    const tweetId = getTweetId(tweet);
+    let cursor = 0;
+    paragraphs.forEach((chunk) => {
+      const offset = processedText.indexOf(chunk, cursor);
+      cursor = offset >= 0 ? offset + chunk.length : cursor;
+      blocks.push({
+        type: 'text',
+        text: chunk,
+        tweetId,
+        offset: Math.max(offset, 0),
+        tokens: tokenizeTweetText(chunk, entities)
+      });
+    });
+
+    links.forEach((link) => {
+      // The quoted tweet's permalink is rendered as the quote card instead.
+      if (quotedId && isStatusLink(link, quotedId)) return;
+      const card = buildLinkCardData(link);
+      if (card) {
+        blocks.push({ type: 'link-card', link: card });
+      }
+    });
+
+    const mediaItems = collectMedia(tweet);
+    if (Array.isArray(mediaItems) && mediaItems.length > 0) {
+      blocks.push({
+        type: 'media',
+        items: mediaItems.map((item) => ({ ...item }))
+      });
+    }
+
+    if (quoted) {
+      blocks.push({
+        type: 'quote',
+        tweetId: quotedId,
+        url: getTweetUrl(quoted),
+        tweet: quoted,
+        blocks: composeThreadContentBlocks([quoted], { nested: true })
+      });
+    }
+  });
+  return blocks;
+}
+
+export function getTweetText(tweet) {
+  if (!tweet || typeof tweet !== 'object') return '';
+  const text = tweet.text
+    || tweet.full_text
+    || tweet.legacy?.full_text
+    || tweet.legacy?.text
+    || '';
+  return typeof text === 'string' ? text : '';
+}
+
+export function getTweetId(tweet) {
+  return tweet?.id || tweet?.tweet_id || tweet?.tweetId || tweet?.rest_id || null;
+}
+
+export function getTweetTimestamp(tweet) {
+  const raw = tweet?.createdAt || tweet?.created_at || tweet?.legacy?.created_at;
+  if (!raw) return null;
+  const date = new Date(raw);
+  const value = date.getTime();
+  return Number.isNaN(value) ? null : value;
+}
+
+export function getTweetUrl(tweet) {
+  if (typeof tweet?.url === 'string' && tweet.url.startsWith('http')) return tweet.url;
+  const handle = tweet?.author?.userName || 'i/web';
+  return `https://x.com/${handle}/status/${getTweetId(tweet)}`;
+}
+
+export function getTweetEntities(tweet) {
+  return tweet?.entities || tweet?.legacy?.entities || null;
+}
+
+export function getQuotedTweet(tweet) {
+  const quoted = tweet?.quoted_tweet || tweet?.quotedTweet || tweet?.quoted_status || tweet?.legacy?.quoted_status;
+  return quoted && typeof quoted === 'object' && getTweetId(quoted) ? quoted : null;
+}
+
+export function getParentTweetId(tweet) {
+  const id = tweet?.inReplyToId
+    || tweet?.in_reply_to_status_id_str
+    || tweet?.legacy?.in_reply_to_status_id_str
+    || null;
+  return id ? String(id) : null;
+}
+
+export function getAuthorKeys(tweet) {
+  const keys = new Set();
+  if (!tweet || typeof tweet !== 'object') return keys;
+
+  const addId = (value) => {
+    if (value === undefined || value === null) return;
+    const normalized = String(value).trim();
+    if (!normalized) return;
+    keys.add(`id:${normalized}`);
+  };
+
+  const addHandle = (value) => {
+    if (!value) return;
+    const normalized = String(value).trim().toLowerCase();
+    if (!normalized) return;
+    keys.add(`handle:${normalized}`);
+  };
+
+  const author = tweet.author || tweet.user;
+  if (author) {
+    addId(author.id ?? author.rest_id ?? author.userId ?? author.user_id ?? author.id_str);
+    addHandle(author.userName ?? author.username ?? author.screen_name ?? author.handle);
+  }
+
+  if (tweet.legacy) {
+    addId(tweet.legacy.user_id_str);
+    addHandle(tweet.legacy.screen_name);
+  }
+
+  const coreUser = tweet.core?.user_results?.result;
+  if (coreUser) {
+    addId(coreUser.rest_id);
+    addHandle(coreUser.legacy?.screen_name);
+  }
+
+  const result = tweet.user_results?.result;
+  if (result) {
+    addId(result.rest_id);
+    addHandle(result.legacy?.screen_name);
+  }
+
+  return keys;
+}
+
+export function collectMedia(tweet = {}) {
+  const collected = [];
+  const seen = new Set();
+  const sources = [
+    tweet.extendedEntities?.media,
+    tweet.extended_entities?.media,
+    tweet.entities?.media,
+    tweet.legacy?.extended_entities?.media,
+    tweet.legacy?.extendedEntities?.media,
+    tweet.legacy?.entities?.media
+  ];
+
+  sources.forEach((mediaList) => {
+    if (!Array.isArray(mediaList)) return;
+    mediaList.forEach((item) => {
+      if (!item || typeof item !== 'object') return;
+      const key = item.id || item.media_key || item.mediaKey || item.media_url_https || item.media_url;
+      if (key && seen.has(key)) return;
+      if (key) seen.add(key);
+      collected.push(item);
+    });
+  });
+
+  return collected;
+}
+
+export function selectVideoVariant(media) {
+  const candidateSets = [
+    media.video_info?.variants,
+    media.videoInfo?.variants,
+    media.legacy?.video_info?.variants,
+    media.videoVariants,
+    media.variants,
+    media.ext?.variants
+  ].filter(Boolean);
+
+  const variants = [];
+  candidateSets.forEach((set) => {
+    if (Array.isArray(set)) {
+      variants.push(...set);
+    }
+  });
+  const mp4 = variants
+    .filter((variant) => variant.content_type?.includes('mp4') && variant.url)
+    .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+  return mp4[0]?.url || variants[0]?.url || null;
+}
+
+export function extractLinksFromTweet(tweet = {}) {
+  const entities = tweet.entities || tweet.legacy?.entities || tweet.legacy?.extended_entities;
+  const urls = Array.isArray(entities?.urls) ? entities.urls : [];
+  const cardLinks = Array.isArray(tweet.cards) ? tweet.cards : [];
+  const results = [];
+
+  urls.forEach((entry) => {
+    if (!entry) return;
+    const expanded = entry.expanded_url || entry.expandedUrl || entry.unwound_url || entry.unwoundUrl || entry.url;
+    if (!expanded) return;
+    results.push({
+      url: entry.url || expanded,
+      expandedUrl: expanded,
+      displayUrl: entry.display_url || entry.displayUrl || simplifyUrl(expanded),
+      title: entry.title || entry.card_title || null
+    });
+  });
+
+  cardLinks.forEach((card) => {
+    if (!card || !card.url) return;
+    const expanded = card.url;
+    results.push({
+      url: card.url,
+      expandedUrl: expanded,
+      displayUrl: card.display_url || simplifyUrl(expanded),
+      title: card.title || card.name || null
+    });
+  });
+
+  return results;
+}
+
+function resolveVideoUrls(block) {
+  if (block.type === 'media') {
+    return { ...block, items: block.items.map((media) => ({ ...media, videoUrl: selectVideoVariant(media) })) };
+  }
+  if (block.type === 'quote') {
+    return { ...block, blocks: block.blocks.map(resolveVideoUrls) };
+  }
+  return block;
+}
+
+function isStatusLink(link, tweetId) {
+  const value = link.expandedUrl || link.url || '';
+  return new RegExp(`/status(es)?/${tweetId}(\\D|$)`).test(value);
+}
+
+function buildLinkCardData(link) {
+  try {
+    const raw = link.expandedUrl || link.url;
+    if (!raw) return null;
+    const url = new URL(raw.startsWith('http') ? raw : `https://${raw}`);
+    const domain = url.hostname.replace(/^www\./i, '');
+    const title = link.title || domain;
+    const displayUrl = link.displayUrl || `${domain}${url.pathname !== '/' ? url.pathname : ''}`;
+    return {
+      href: url.href,
+      url: link.url,
+      title,
+      displayUrl,
+      domain,
+      domainInitial: domain?.[0]?.toUpperCase() || null,
+      favicon: getFaviconUrl(url)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function getFaviconUrl(url) {
+  if (!url) return null;
+  const origin = `${url.protocol}//${url.hostname}`;
+  return `${origin}/favicon.ico`;
+}
+
+function simplifyUrl(value = '') {
+  return value.replace(/^https?:\/\//i, '').replace(/\/$/, '');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,144 @@
+'use strict';
+
+// Re-fetches recently saved threads in the background so that continuations
+// by the author show up without reopening the thread. Young threads are
+// checked often; the interval doubles for every day of age (and for every
+// consecutive failure) until threads older than `maxAgeMs` are left alone.
+
+const CHECKS_STORAGE_KEY = 'tweet-link-saver-thread-refresh';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_REFRESH_OPTIONS = Object.freeze({
+  maxAgeMs: 7 * DAY_MS,
+  tickMs: 5 * 60 * 1000,
+  minIntervalMs: 30 * 60 * 1000,
+  maxIntervalMs: 12 * 60 * 60 * 1000,
+  threadsPerTick: 3
+});
+
+let refreshHooks = null;
+let options = DEFAULT_REFRESH_OPTIONS;
+let timer = null;
+let running = false;
+let checks = loadChecks();
+
+/**
+ * `hooks.getThreads()` returns `{ tweetId, createdAt }` for every cached
+ * thread; `hooks.refreshThread(tweetId)` fetches and merges one thread and
+ * rejects on failure. The optional `hooks.canRefresh()` pauses the schedule,
+ * e.g. while no API key is available.
+ */
+export function setupThreadRefresher(hooks = {}, overrides = {}) {
+  refreshHooks = hooks;
+  options = { ...DEFAULT_REFRESH_OPTIONS, ...overrides };
+  stopThreadRefresher();
+  timer = setInterval(runRefreshCycle, options.tickMs);
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+  runRefreshCycle();
+}
+
+export function stopThreadRefresher() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (typeof document !== 'undefined') {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }
+}
+
+export function getRefreshInterval(ageMs, failures = 0) {
+  const ageDays = Math.max(0, Math.floor(ageMs / DAY_MS));
+  const interval = options.minIntervalMs * 2 ** (ageDays + failures);
+  return Math.min(interval, options.maxIntervalMs);
+}
+
+/** Records a foreground fetch so the refresher doesn't repeat it right away. */
+export function markThreadChecked(tweetId, checkedAt = Date.now()) {
+  if (!tweetId) return;
+  checks[tweetId] = { checkedAt, failures: 0 };
+  persistChecks();
+}
+
+function handleVisibilityChange() {
+  if (document.visibilityState === 'visible') {
+    runRefreshCycle();
+  }
+}
+
+async function runRefreshCycle() {
+  if (running || !refreshHooks?.getThreads || !refreshHooks?.refreshThread) return;
+  if (typeof document !== 'undefined' && document.visibilityState === 'hidden') return;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+  if (refreshHooks.canRefresh && !refreshHooks.canRefresh()) return;
+
+  running = true;
+  try {
+    const due = collectDueThreads(Date.now());
+    for (const tweetId of due) {
+      const previous = checks[tweetId];
+      try {
+        await refreshHooks.refreshThread(tweetId);
+        checks[tweetId] = { checkedAt: Date.now(), failures: 0 };
+      } catch (error) {
+        console.warn('[refresh] Failed to refresh thread', tweetId, error);
+        checks[tweetId] = { checkedAt: Date.now(), failures: (previous?.failures || 0) + 1 };
+      }
+      persistChecks();
+    }
+  } finally {
+    running = false;
+  }
+}
+
+function collectDueThreads(now) {
+  const threads = refreshHooks.getThreads() || [];
+  const knownIds = new Set();
+  const due = [];
+
+  threads.forEach(({ tweetId, createdAt }) => {
+    if (!tweetId) return;
+    knownIds.add(tweetId);
+    const age = typeof createdAt === 'number' ? now - createdAt : Infinity;
+    if (age > options.maxAgeMs) return;
+    const check = checks[tweetId];
+    const lastCheckedAt = check?.checkedAt || 0;
+    const interval = getRefreshInterval(age, check?.failures || 0);
+    if (now - lastCheckedAt < interval) return;
+    due.push({ tweetId, overdue: now - lastCheckedAt - interval });
+  });
+
+  let pruned = false;
+  Object.keys(checks).forEach((tweetId) => {
+    if (knownIds.has(tweetId)) return;
+    delete checks[tweetId];
+    pruned = true;
+  });
+  if (pruned) persistChecks();
+
+  return due
+    .sort((a, b) => b.overdue - a.overdue)
+    .slice(0, options.threadsPerTick)
+    .map((entry) => entry.tweetId);
+}
+
+function loadChecks() {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    const parsed = JSON.parse(localStorage.getItem(CHECKS_STORAGE_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+function persistChecks() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(CHECKS_STORAGE_KEY, JSON.stringify(checks));
+  } catch (error) {
+    console.warn('[refresh] Unable to persist refresh schedule', error);
+  }
+}
@@ -0,0 +1,156 @@
+'use strict';
+
+// Turns whatever the user pasted into a tweet id. Resolvers are tried in
+// order; the first whose `test` accepts the URL decides the outcome, so a
+// specific host can't be swallowed by a generic rule registered later.
+//
+// Every result carries the `pattern` that handled it:
+//   { status: 'resolved', tweetId, pattern }
+//   { status: 'needs-expansion', url, pattern }   short links, expanded server-side
+//   { status: 'collection', kind: 'profile', userName, pattern }
+//   { status: 'collection', kind: 'list', listId, pattern }
+//   { status: 'unsupported', pattern, message }   pattern is null for unknown hosts
+
+const TWITTER_HOSTS = new Set(['twitter.com', 'x.com']);
+const EMBED_PROXY_HOSTS = new Set(['fxtwitter.com', 'vxtwitter.com', 'fixupx.com', 'fixvx.com', 'twittpr.com']);
+const NITTER_HOSTS = new Set(['xcancel.com', 'nitter.net', 'nitter.poast.org', 'nitter.privacydev.net']);
+const SHORT_LINK_HOSTS = new Set(['t.co']);
+const TWEET_ID_PATTERN = /^\d{5,25}$/;
+const HANDLE_PATTERN = /^\w{1,15}$/;
+const RESERVED_PATHS = new Set([
+  'home', 'explore', 'search', 'notifications', 'messages', 'settings', 'i', 'intent',
+  'compose', 'login', 'logout', 'signup', 'tos', 'privacy', 'hashtag', 'share'
+]);
+
+const resolvers = [];
+
+export function registerUrlResolver(resolver, { prepend = false } = {}) {
+  if (!resolver?.name || typeof resolver.test !== 'function' || typeof resolver.resolve !== 'function') {
+    throw new Error('URL resolvers need a name, test() and resolve().');
+  }
+  if (prepend) {
+    resolvers.unshift(resolver);
+  } else {
+    resolvers.push(resolver);
+  }
+}
+
+export function resolveTweetUrl(value) {
+  const raw = String(value || '').trim();
+  if (!raw) {
+    return { status: 'unsupported', pattern: null, message: '' };
+  }
+
+  if (TWEET_ID_PATTERN.test(raw)) {
+    return { status: 'resolved', tweetId: raw, pattern: 'tweet-id' };
+  }
+
+  const url = parseLooseUrl(raw);
+  if (!url) {
+    return {
+      status: 'unsupported',
+      pattern: null,
+      message: 'Paste a tweet link or a numeric tweet id.'
+    };
+  }
+
+  const hostname = normalizeHostname(url.hostname);
+  const resolver = resolvers.find((entry) => entry.test(url, hostname));
+  if (!resolver) {
+    return {
+      status: 'unsupported',
+      pattern: null,
+      message: `Links from ${hostname} aren't supported. Use x.com, twitter.com, fxtwitter, vxtwitter, fixupx, nitter or t.co links.`
+    };
+  }
+
+  return { pattern: resolver.name, ...resolver.resolve(url, hostname) };
+}
+
+/** Convenience wrapper for callers that only need the id. */
+export function extractTweetId(value) {
+  const result = resolveTweetUrl(value);
+  return result.status === 'resolved' ? result.tweetId : null;
+}
+
+function parseLooseUrl(raw) {
+  let formatted = raw;
+  if (!/^[a-z][a-z\d+.-]*:\/\//i.test(formatted) && /^[\w.-]+\.[a-z]{2,}\//i.test(formatted)) {
+    formatted = `https://${formatted}`;
+  }
+  try {
+    const url = new URL(formatted);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+function normalizeHostname(hostname) {
+  return hostname.toLowerCase().replace(/^(www|mobile|m|d)\./, '');
+}
+
+// Matches /<user>/status/<id>, /<user>/statuses/<id>, /i/web/status/<id>
+// and /i/status/<id>, ignoring trailing segments like /photo/1.
+function findStatusId(url) {
+  const segments = url.pathname.split('/').filter(Boolean);
+  const statusIndex = segments.findIndex((segment) => segment === 'status' || segment === 'statuses');
+  if (statusIndex < 0) return null;
+  const match = (segments[statusIndex + 1] || '').match(/^(\d{5,25})/);
+  return match ? match[1] : null;
+}
+
+// Profiles are /<handle> (optionally /with_replies etc.), lists are
+// /i/lists/<id>.
+function findCollection(url) {
+  const segments = url.pathname.split('/').filter(Boolean);
+  if (segments[0] === 'i' && segments[1] === 'lists' && /^\d+$/.test(segments[2] || '')) {
+    return { kind: 'list', listId: segments[2] };
+  }
+  const [handle] = segments;
+  if (segments.length >= 1 && segments.length <= 2 && HANDLE_PATTERN.test(handle) && !RESERVED_PATHS.has(handle.toLowerCase())) {
+    return { kind: 'profile', userName: handle };
+  }
+  return null;
+}
+
+function resolveStatusUrl(url, hostname) {
+  const tweetId = findStatusId(url);
+  if (tweetId) return { status: 'resolved', tweetId };
+  const collection = findCollection(url);
+  if (collection) return { status: 'collection', ...collection };
+  return {
+    status: 'unsupported',
+    message: `That ${hostname} link isn't a tweet. Open the tweet itself and copy its link.`
+  };
+}
+
+registerUrlResolver({
+  name: 'twitter',
+  test: (_url, hostname) => TWITTER_HOSTS.has(hostname),
+  resolve: resolveStatusUrl
+});
+
+registerUrlResolver({
+  name: 'embed-proxy',
+  test: (_url, hostname) => EMBED_PROXY_HOSTS.has(hostname),
+  resolve: resolveStatusUrl
+});
+
+registerUrlResolver({
+  name: 'nitter',
+  test: (_url, hostname) => NITTER_HOSTS.has(hostname) || /(^|\.)nitter\./.test(hostname),
+  resolve: resolveStatusUrl
+});
+
+registerUrlResolver({
+  name: 'short-link',
+  test: (_url, hostname) => SHORT_LINK_HOSTS.has(hostname),
+  resolve: (url) => {
+    if (url.pathname.split('/').filter(Boolean).length !== 1) {
+      return { status: 'unsupported', message: 'That t.co link looks incomplete.' };
+    }
+    url.protocol = 'https:';
+    return { status: 'needs-expansion', url: url.toString() };
+  }
+});
@@ -3,6 +3,8 @@
 import { getIdToken } from './auth.js';
 
 const API_ENDPOINT = '/api/user/api-key';
+const ITEMS_ENDPOINT = '/api/user/items';
+const MUTATIONS_ENDPOINT = '/api/user/items/mutations';
 
 async function authenticatedFetch(path, { method = 'GET', headers = {}, body, ...rest } = {}) {
   const token = await getIdToken();
@@ -81,3 +83,36 @@ export async function deleteRemoteApiKey() {
     throw error;
   }
 }
+
+export async function fetchRemoteItems({ since = null } = {}) {
+  const path = typeof since === 'number' ? `${ITEMS_ENDPOINT}?since=${since}` : ITEMS_ENDPOINT;
+  const response = await authenticatedFetch(path);
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err?.message || 'Unable to load synced items.');
+  }
+  const data = await response.json().catch(() => ({}));
+  return {
+    items: Array.isArray(data?.items) ? data.items : [],
+    tombstones: Array.isArray(data?.tombstones) ? data.tombstones : [],
+    serverTime: typeof data?.serverTime === 'number' ? data.serverTime : Date.now()
+  };
+}
+
+export async function pushRemoteMutations(mutations = []) {
+  if (!Array.isArray(mutations) || mutations.length === 0) {
+    return { applied: 0, rejected: 0, conflicts: [], serverTime: Date.now() };
+  }
+  const response = await authenticatedFetch(MUTATIONS_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ mutations })
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data?.message || 'Unable to sync changes.');
+  }
+  return data;
+}
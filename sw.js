@@ -0,0 +1,171 @@
+'use strict';
+
+// Service worker for offline reading. The app shell is precached; pages,
+// scripts and styles are network-first so a deploy never pairs new markup
+// with old modules, while CDN scripts and fonts are served
+// stale-while-revalidate. Media (archived copies from /api/media as well as
+// twimg.com images already viewed) is cache-first. Saved items and threads
+// live in IndexedDB, so once the shell loads the library is readable without
+// a connection.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `macro-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `macro-runtime-${CACHE_VERSION}`;
+const MEDIA_CACHE = `macro-media-${CACHE_VERSION}`;
+const MAX_MEDIA_ENTRIES = 400;
+
+const SHELL_ASSETS = [
+  '/',
+  '/index.html',
+  '/app.js',
+  '/styles.css',
+  '/manifest.webmanifest',
+  '/assets/app-icon.svg',
+  '/assets/inbox.svg',
+  '/assets/lock.svg',
+  '/services/article-export.js',
+  '/services/auth.js',
+  '/services/export.js',
+  '/services/firebase-bootstrap.js',
+  '/services/import.js',
+  '/services/library-item.js',
+  '/services/local-store.js',
+  '/services/record-version.js',
+  '/services/rich-text.js',
+  '/services/search-index.js',
+  '/services/sync.js',
+  '/services/thread-blocks.js',
+  '/services/thread-refresher.js',
+  '/services/url-resolver.js',
+  '/services/user-store.js'
+];
+
+const RUNTIME_HOSTS = new Set(['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'www.gstatic.com']);
+const MEDIA_HOSTS = new Set(['pbs.twimg.com']);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const expected = new Set([SHELL_CACHE, RUNTIME_CACHE, MEDIA_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !expected.has(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/media/')) {
+      event.respondWith(cacheFirst(request, MEDIA_CACHE));
+      return;
+    }
+    if (url.pathname.startsWith('/api/') || url.pathname === '/health') return;
+    if (request.mode === 'navigate') {
+      event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+      return;
+    }
+    if (request.destination === 'script' || request.destination === 'style' || url.pathname.endsWith('.js')) {
+      event.respondWith(networkFirst(request, SHELL_CACHE));
+      return;
+    }
+    if (url.pathname === '/firebase-config.js') {
+      event.respondWith(networkFirst(request, RUNTIME_CACHE));
+      return;
+    }
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    return;
+  }
+
+  if (MEDIA_HOSTS.has(url.hostname)) {
+    event.respondWith(cacheFirst(request, MEDIA_CACHE));
+    return;
+  }
+  if (RUNTIME_HOSTS.has(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+  }
+});
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreVary: true });
+  // Handing an opaque entry to a CORS request (the EPUB export reads image
+  // bytes) is a network error, so those go back to the network.
+  if (cached && !(cached.type === 'opaque' && request.mode === 'cors')) return cached;
+
+  const response = await fetchMedia(request);
+  // Only full, readable responses are stored: partial (206) responses to
+  // range requests can't be, and opaque ones are padded heavily against the
+  // storage quota.
+  if (response.status === 200) {
+    await cache.put(request, response.clone());
+    trimCache(cacheName, MAX_MEDIA_ENTRIES);
+  }
+  return response;
+}
+
+// <img> loads twimg.com media without CORS, which would leave us an opaque
+// response. twimg.com allows CORS, so ask for a readable copy and only fall
+// back to the page's own request if that fails.
+async function fetchMedia(request) {
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin || request.mode === 'cors' || request.headers.has('range')) {
+    return fetch(request);
+  }
+  try {
+    return await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+  } catch (error) {
+    return fetch(request);
+  }
+}
+
+async function networkFirst(request, cacheName, fallbackPath) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(fallbackPath || request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackPath || request)
+      || (fallbackPath ? await caches.match(fallbackPath) : null);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) return cached;
+  const response = await network;
+  return response || Response.error();
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  if (keys.length <= maxEntries) return;
+  await Promise.all(keys.slice(0, keys.length - maxEntries).map((key) => cache.delete(key)));
+}
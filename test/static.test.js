@@ -0,0 +1,55 @@
+'use strict';
+
+// Only the client shell is served as static files; everything under data/
+// (API keys, synced libraries, usage, caches) has to stay unreachable.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { app } = require('../server');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const LIBRARY_FILE = path.join(DATA_DIR, 'libraries.json');
+
+let server;
+let origin;
+let createdLibraryFile = false;
+
+test.before(async () => {
+  // Make sure there is something to leak, so a 404 means the file is hidden.
+  if (!fs.existsSync(LIBRARY_FILE)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(LIBRARY_FILE, '{}');
+    createdLibraryFile = true;
+  }
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  if (createdLibraryFile) fs.rmSync(LIBRARY_FILE, { force: true });
+});
+
+test('serves the client shell', async () => {
+  for (const pathname of ['/', '/index.html', '/app.js', '/sw.js', '/services/export.js', '/assets/lock.svg']) {
+    const response = await fetch(`${origin}${pathname}`);
+    await response.arrayBuffer();
+    assert.equal(response.status, 200, pathname);
+  }
+});
+
+test('does not serve the data directory', async () => {
+  const response = await fetch(`${origin}/data/libraries.json`);
+  await response.arrayBuffer();
+  assert.equal(response.status, 404);
+});
+
+test('does not serve server-side files', async () => {
+  for (const pathname of ['/server.js', '/package.json', '/.env', '/requests.jsonl']) {
+    const response = await fetch(`${origin}${pathname}`);
+    await response.arrayBuffer();
+    assert.equal(response.status, 404, pathname);
+  }
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+// Link previews against a local fixture server. Private hosts have to be
+// allowed for the fixture to be reachable; test/unfurl-blocking.test.js
+// covers the default, where they're refused.
+process.env.UNFURL_ALLOW_PRIVATE_HOSTS = 'true';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { unfurlUrl } = require('../server');
+
+const PAGE_HTML = `<!doctype html>
+<html>
+<head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="Ben &amp; Jerry&#39;s   guide">
+  <meta name="description" content="A plain description">
+  <meta property="og:image" content="/images/cover.png">
+  <meta property="og:site_name" content="Fixture">
+  <link rel="icon" href="/favicon.ico">
+</head>
+<body><meta property="og:title" content="Ignored, not in head"></body>
+</html>`;
+
+let server;
+let origin;
+let resolveHugeClosed;
+const hugeClosed = new Promise((resolve) => {
+  resolveHugeClosed = resolve;
+});
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://fixture');
+    if (pathname === '/page') {
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+      res.end(PAGE_HTML);
+    } else if (pathname === '/oembed-page') {
+      res.writeHead(200, { 'content-type': 'text/html' });
+      res.end('<html><head><link rel="alternate" type="application/json+oembed" href="/oembed.json"></head></html>');
+    } else if (pathname === '/oembed.json') {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ title: 'From oEmbed', provider_name: 'Provider', thumbnail_url: '/thumb.jpg' }));
+    } else if (pathname === '/huge') {
+      res.writeHead(200, { 'content-type': 'text/html' });
+      res.write('<html><head><meta property="og:title" content="Huge page"></head><body>');
+      const chunk = 'x'.repeat(64 * 1024);
+      let sent = 0;
+      const pump = () => {
+        while (sent < 4 * 1024 * 1024) {
+          sent += chunk.length;
+          if (!res.write(chunk)) {
+            res.once('drain', pump);
+            return;
+          }
+        }
+        res.end('</body></html>');
+      };
+      res.on('close', () => resolveHugeClosed(res.writableFinished));
+      pump();
+    } else if (pathname === '/redirect') {
+      res.writeHead(302, { location: '/page' });
+      res.end();
+    } else if (pathname === '/loop') {
+      res.writeHead(302, { location: '/loop' });
+      res.end();
+    } else if (pathname === '/missing') {
+      res.writeHead(404, { 'content-type': 'text/html' });
+      res.end('<html><head><title>Not found</title></head></html>');
+    } else {
+      res.writeHead(200, { 'content-type': 'image/png' });
+      res.end(Buffer.alloc(16));
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test('reads Open Graph metadata from the document head', async () => {
+  const preview = await unfurlUrl(new URL(`${origin}/page`));
+  assert.equal(preview.title, "Ben & Jerry's guide");
+  assert.equal(preview.description, 'A plain description');
+  assert.equal(preview.image, `${origin}/images/cover.png`);
+  assert.equal(preview.siteName, 'Fixture');
+  assert.equal(preview.favicon, `${origin}/favicon.ico`);
+});
+
+test('falls back to oEmbed when the page has no title or image', async () => {
+  const preview = await unfurlUrl(new URL(`${origin}/oembed-page`));
+  assert.equal(preview.title, 'From oEmbed');
+  assert.equal(preview.siteName, 'Provider');
+  assert.equal(preview.image, `${origin}/thumb.jpg`);
+});
+
+test('uses the link itself as the image for image responses', async () => {
+  const preview = await unfurlUrl(new URL(`${origin}/photo.png`));
+  assert.equal(preview.image, `${origin}/photo.png`);
+  assert.equal(preview.title, null);
+});
+
+test('stops reading a large page once the size cap is reached', async () => {
+  const preview = await unfurlUrl(new URL(`${origin}/huge`));
+  assert.equal(preview.title, 'Huge page');
+  // The fixture sees the connection drop before it has sent everything.
+  assert.equal(await hugeClosed, false);
+});
+
+test('follows redirects and reports the final URL', async () => {
+  const preview = await unfurlUrl(new URL(`${origin}/redirect`));
+  assert.equal(preview.url, `${origin}/redirect`);
+  assert.equal(preview.finalUrl, `${origin}/page`);
+  assert.equal(preview.siteName, 'Fixture');
+});
+
+test('gives up after too many redirects', async () => {
+  await assert.rejects(unfurlUrl(new URL(`${origin}/loop`)), { code: 'UNFURL_REDIRECTS' });
+});
+
+test('reports error statuses', async () => {
+  await assert.rejects(unfurlUrl(new URL(`${origin}/missing`)), { code: 'UNFURL_HTTP' });
+});
+
+test('refuses non-http links', async () => {
+  await assert.rejects(unfurlUrl(new URL('file:///etc/passwd')), { code: 'UNFURL_BLOCKED' });
+});